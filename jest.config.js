@@ -1,5 +1,5 @@
 export default {
-    transform: { "^.+\\.tsx?$": "babel-jest" },
+    transform: { "^.+\\.[jt]sx?$": "babel-jest" },
     transformIgnorePatterns: ["/node_modules/(?!@babel/runtime)"],
     moduleFileExtensions: ["ts", "tsx", "js", "jsx", "json", "node"],
     testEnvironment: "node",
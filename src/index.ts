@@ -3,7 +3,7 @@ import { setup } from "./task/0-setup";
 import { task } from "./task/1-task";
 import { submission } from "./task/2-submission";
 import { audit } from "./task/3-audit";
-import { distribution } from "./task/4-distribution";
+import { distribution, auditDistribution } from "./task/4-distribution";
 import { routes } from "./task/5-routes";
 initializeTaskManager({
   setup,
@@ -11,5 +11,6 @@ initializeTaskManager({
   submission,
   audit,
   distribution,
+  auditDistribution,
   routes,
 });
@@ -0,0 +1,213 @@
+import { median } from './cluster-tip.js';
+
+// Deterministic consensus audit: every node reported in a submission is
+// compared metric by metric with the consensus of all submissions that
+// reported the same endpoint (median for numbers, majority otherwise). The
+// outcome only depends on the submissions, so every auditor reaches the
+// same verdicts, and each verdict carries the reason.
+
+/**
+ * @typedef {Object} MetricVerdict
+ * @property {boolean|null} ok  null when there was nothing to compare with
+ * @property {string} reason
+ */
+
+/**
+ * @typedef {Object} NodeVerdict
+ * @property {string} endpoint
+ * @property {boolean|null} ok  false if any metric failed, null if none could be decided
+ * @property {Object<string, MetricVerdict>} metrics
+ */
+
+/**
+ * @typedef {Object} SubmissionVerdict
+ * @property {string} submitter
+ * @property {number} score        0-100, share of compared nodes and re-probes that passed
+ * @property {number} validNodes
+ * @property {number} comparedNodes
+ * @property {number} totalNodes
+ * @property {NodeVerdict[]} nodes     against the other submissions
+ * @property {NodeVerdict[]} reprobes  against the auditor's own probes
+ */
+
+// Allowed difference from the median: the larger of both parts
+function allowance(tolerance, reference) {
+    return Math.max(tolerance.absolute, Math.abs(reference) * tolerance.relative);
+}
+
+// Most common value and how often it was reported, value undefined on a tie
+function majority(values) {
+    const counts = new Map();
+    for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+    const [[value, count], runnerUp] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    return { value: runnerUp && runnerUp[1] === count ? undefined : value, count };
+}
+
+export class AuditEngine {
+    /**
+     * @param {Object} options
+     * @param {number} options.slotTime  seconds per slot/block of the monitored chain
+     * @param {Object<string, {absolute: number, relative: number}>} options.tolerances
+     */
+    constructor({ slotTime, tolerances }) {
+        this.slotTime = slotTime;
+        this.tolerances = tolerances;
+    }
+
+    // A peer's slot moved forward (or back) to `at` at the expected slot rate
+    alignSlot(node, at) {
+        return node.metrics.blockHeight + (at - node.timestamp) / 1000 / this.slotTime;
+    }
+
+    numeric(metric, value, reported, unit) {
+        const reference = median(reported);
+        const allowed = allowance(this.tolerances[metric], reference);
+        const diff = value - reference;
+        const ok = Math.abs(diff) <= allowed;
+        const reason = `${value.toFixed(2)}${unit} vs median ${reference.toFixed(2)}${unit} ` +
+            `(${diff >= 0 ? '+' : ''}${diff.toFixed(2)}, allowed ±${allowed.toFixed(2)}, ${reported.length} reports)`;
+        return { ok, reason };
+    }
+
+    categorical(value, reported, describe) {
+        const { value: consensus, count } = majority(reported);
+        if (consensus === undefined) {
+            return { ok: null, reason: `reported ${describe(value)}, reports are split evenly` };
+        }
+        return {
+            ok: value === consensus,
+            reason: `reported ${describe(value)}, ${count}/${reported.length} reports say ${describe(consensus)}`
+        };
+    }
+
+    /**
+     * @param {import('./monitor.js').NodeSummary} node
+     * @param {import('./monitor.js').NodeSummary[]} reports  the endpoint in every submission, `node` included
+     * @returns {NodeVerdict}
+     */
+    judgeNode(node, reports) {
+        const verdict = { endpoint: node.endpoint, ok: null, metrics: {} };
+        if (reports.length < 2) {
+            verdict.metrics.all = { ok: null, reason: 'no other submission reported this endpoint' };
+            return verdict;
+        }
+
+        verdict.metrics.isResponding = this.categorical(
+            node.metrics.isResponding,
+            reports.map(report => report.metrics.isResponding),
+            responding => (responding ? 'responding' : 'offline')
+        );
+
+        const responding = reports.filter(report => report.metrics.isResponding);
+        if (node.metrics.isResponding && responding.length >= 2) {
+            verdict.metrics.version = this.categorical(
+                node.metrics.version, responding.map(report => report.metrics.version), version => version
+            );
+
+            // Slots taken at different moments are only comparable at the same instant
+            verdict.metrics.blockHeight = this.numeric(
+                'blockHeight',
+                node.metrics.blockHeight,
+                responding.map(report => this.alignSlot(report, node.timestamp)),
+                ' slots'
+            );
+            verdict.metrics.blockHeight.reason += ', aligned to the reported timestamp';
+
+            verdict.metrics.tps = this.numeric('tps', node.metrics.tps, responding.map(report => report.metrics.tps), ' TPS');
+            verdict.metrics.peerCount = this.numeric(
+                'peerCount', node.metrics.peerCount, responding.map(report => report.metrics.peerCount), ' peers'
+            );
+        }
+
+        const results = Object.values(verdict.metrics).map(metric => metric.ok);
+        verdict.ok = results.includes(false) ? false : results.includes(true) ? true : null;
+        return verdict;
+    }
+
+    /**
+     * Compare a reported node with the auditor's own probe of the endpoint.
+     * @param {import('./monitor.js').NodeSummary} node
+     * @param {import('./chains/adapter.js').StatusRecord} probe
+     * @returns {NodeVerdict}
+     */
+    judgeProbe(node, probe) {
+        const verdict = { endpoint: node.endpoint, ok: null, metrics: {} };
+        const describe = responding => (responding ? 'responding' : 'offline');
+        verdict.metrics.isResponding = {
+            ok: node.metrics.isResponding === probe.isResponding,
+            reason: `reported ${describe(node.metrics.isResponding)}, re-probe found it ${describe(probe.isResponding)}`
+        };
+
+        if (node.metrics.isResponding && probe.isResponding) {
+            verdict.metrics.version = {
+                ok: node.metrics.version === probe.version,
+                reason: `reported ${node.metrics.version}, re-probe found ${probe.version}`
+            };
+
+            // The re-probe runs later than the submission's probe
+            const slot = this.alignSlot({ metrics: probe, timestamp: probe.timestamp }, node.timestamp);
+            const allowed = allowance(this.tolerances.blockHeight, slot);
+            const diff = node.metrics.blockHeight - slot;
+            verdict.metrics.blockHeight = {
+                ok: Math.abs(diff) <= allowed,
+                reason: `${node.metrics.blockHeight.toFixed(2)} slots vs re-probed ${slot.toFixed(2)} slots ` +
+                    `(${diff >= 0 ? '+' : ''}${diff.toFixed(2)}, allowed ±${allowed.toFixed(2)}), aligned to the reported timestamp`
+            };
+        }
+
+        verdict.ok = Object.values(verdict.metrics).every(metric => metric.ok);
+        return verdict;
+    }
+
+    /**
+     * Judge every submission against the consensus of all of them, and
+     * against the auditor's own re-probes where there are any.
+     * @param {Array<import('./monitor.js').RoundSummary & { submitter: string }>} submissions
+     * @param {Map<string, NodeVerdict[]>} [reprobed]  judgeProbe() verdicts per submitter
+     * @returns {SubmissionVerdict[]}  sorted by submitter
+     */
+    judge(submissions, reprobed = new Map()) {
+        const sorted = submissions.slice().sort((a, b) => a.submitter.localeCompare(b.submitter));
+
+        return sorted.map(submission => {
+            const nodes = submission.nodes.map(node => this.judgeNode(
+                node,
+                sorted.map(other => (other === submission ? node : other.nodes.find(n => n.endpoint === node.endpoint)))
+                    .filter(Boolean)
+            ));
+            const reprobes = reprobed.get(submission.submitter) || [];
+
+            // A re-probed node counts like one more compared node
+            const compared = [...nodes, ...reprobes].filter(node => node.ok !== null);
+            const valid = compared.filter(node => node.ok);
+            return {
+                submitter: submission.submitter,
+                // Nothing to compare with contradicts nothing
+                score: compared.length === 0 ? 100 : (valid.length / compared.length) * 100,
+                validNodes: valid.length,
+                comparedNodes: compared.length,
+                totalNodes: nodes.length,
+                nodes,
+                reprobes
+            };
+        });
+    }
+}
+
+// One line per node and metric for namespaceWrapper.logger
+export function formatVerdict(verdict) {
+    const lines = [`Audit of ${verdict.submitter}: ${verdict.score.toFixed(1)} ` +
+        `(${verdict.validNodes}/${verdict.comparedNodes} compared nodes and re-probes valid, ${verdict.totalNodes} reported)`];
+    const entries = [
+        ...verdict.nodes.map(node => [node, '']),
+        ...(verdict.reprobes || []).map(node => [node, ' (re-probe)'])
+    ];
+    for (const [node, label] of entries) {
+        const status = node.ok === null ? 'UNVERIFIED' : node.ok ? 'PASS' : 'FAIL';
+        for (const [metric, result] of Object.entries(node.metrics)) {
+            const metricStatus = result.ok === null ? 'SKIP' : result.ok ? 'ok' : 'FAIL';
+            lines.push(`  [${status}] ${node.endpoint}${label} ${metric} ${metricStatus}: ${result.reason}`);
+        }
+    }
+    return lines;
+}
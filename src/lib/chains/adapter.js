@@ -0,0 +1,171 @@
+import { failedMethods } from '../rpc-timing.js';
+import { ProbeBudget } from '../request-policy.js';
+
+// Base class for chain adapters. An adapter knows how to probe one kind of
+// RPC node and how to turn the raw answers into the common status record
+// that scoring, submission, audit and routes work on.
+
+/**
+ * @typedef {Object} StatusRecord
+ * @property {string} chain          adapter that produced the record ('k2', 'evm')
+ * @property {string} endpoint       RPC url
+ * @property {string} network        mainnet, testnet or devnet
+ * @property {string} source         'configured' or 'discovered'
+ * @property {number} timestamp      ms since epoch when the probe finished
+ * @property {boolean} isResponding
+ * @property {string} health         'healthy', 'degraded', 'unhealthy' or 'offline'
+ * @property {number} blockHeight    slot (K2) or block number (EVM)
+ * @property {number|null} [slotLag]        slots behind the network tip
+ * @property {number|null} [secondsBehind]  slotLag converted to seconds
+ * @property {number} responseTime   ms, p95 of the latency samples, -1 when offline
+ * @property {import('../latency.js').LatencyStats|null} [latency]
+ * @property {number} tps
+ * @property {number} peerCount
+ * @property {string} version
+ * @property {Object<string, any>} details  chain specific values
+ * @property {Object<string, import('../rpc-timing.js').MethodResult>} methods  per RPC method timing
+ * @property {string[]} failedMethods
+ * @property {Object} [budget]  time spent against the per-endpoint probe budget
+ * @property {import('../ws-probe.js').WebSocketStatus|null} [websocket]  PubSub probe, K2 only
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} Endpoint
+ * @property {string} url
+ * @property {string} network
+ * @property {string} [ws]  PubSub url when it differs from the one derived from `url`
+ * @property {string} [source]  'discovered' for endpoints found through discovery.js
+ */
+
+export class ChainAdapter {
+    constructor(name) {
+        this.name = name;
+        // Expected seconds between two slots/blocks
+        this.slotTime = 1;
+        // Cheapest JSON-RPC method of the chain, used for latency samples
+        this.pingMethod = null;
+        // Methods without which the node counts as offline rather than degraded
+        this.requiredMethods = [];
+    }
+
+    // One lightweight JSON-RPC round trip
+    async ping(url, signal) {
+        const res = await fetch(url, {
+            signal,
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: this.pingMethod, params: [] })
+        });
+        if (!res.ok) {
+            throw new Error(`${this.pingMethod} returned HTTP ${res.status}`);
+        }
+        return res.json();
+    }
+
+    // Query the node through the budget, resolving to { values, methods }
+    // as built by timeCalls()
+    async probe(_url, _budget) {
+        throw new Error(`${this.name} adapter does not implement probe()`);
+    }
+
+    // Map the probe values to the chain agnostic fields of a StatusRecord.
+    // Values of failed methods are null.
+    normalize(_values) {
+        throw new Error(`${this.name} adapter does not implement normalize()`);
+    }
+
+    // PubSub health of the endpoint, resolving to a WebSocketStatus
+    // (see ws-probe.js) or null for chains without a subscription probe
+    async probeWebSocket(_endpoint, _budget, _options) {
+        return null;
+    }
+
+    // RPC addresses the node at `url` knows about, for discovery.js.
+    // Chains without a way to list their peers' RPC addresses find nothing.
+    async discoverEndpoints(_url, _budget) {
+        return [];
+    }
+
+    // Chain specific issues for a responding node
+    checks(_record, _thresholds) {
+        return [];
+    }
+
+    // Chain specific plausibility of a record reported by another node
+    validate(_record) {
+        return true;
+    }
+
+    /**
+     * Probe an endpoint and always resolve to a StatusRecord.
+     * @param {Endpoint} endpoint
+     * @param {ProbeBudget} [budget]
+     * @returns {Promise<StatusRecord>}
+     */
+    async check(endpoint, budget = new ProbeBudget()) {
+        const startTime = Date.now();
+        try {
+            const { values, methods } = await this.probe(endpoint.url, budget);
+            const failed = failedMethods(methods);
+
+            const missing = this.requiredMethods.filter(method => failed.includes(method));
+            if (missing.length > 0) {
+                const reason = missing.map(method => `${method}: ${methods[method].error}`).join('; ');
+                console.error(`Error checking node ${endpoint.url}:`, reason);
+                return {
+                    ...this.offlineRecord(endpoint, new Error(reason)),
+                    methods,
+                    failedMethods: failed,
+                    budget: budget.summary()
+                };
+            }
+
+            const normalized = this.normalize(values);
+            return {
+                ...normalized,
+                // Answering the required calls but failing others is a partial outage
+                health: failed.length > 0 && normalized.health === 'healthy' ? 'degraded' : normalized.health,
+                chain: this.name,
+                endpoint: endpoint.url,
+                network: endpoint.network,
+                source: endpoint.source || 'configured',
+                timestamp: Date.now(),
+                responseTime: Date.now() - startTime,
+                isResponding: true,
+                methods,
+                failedMethods: failed,
+                budget: budget.summary()
+            };
+        } catch (error) {
+            console.error(`Error checking node ${endpoint.url}:`, error.message);
+            return { ...this.offlineRecord(endpoint, error), budget: budget.summary() };
+        }
+    }
+
+    /**
+     * @param {Endpoint} endpoint
+     * @param {Error} error
+     * @returns {StatusRecord}
+     */
+    offlineRecord(endpoint, error) {
+        return {
+            chain: this.name,
+            endpoint: endpoint.url,
+            network: endpoint.network,
+            source: endpoint.source || 'configured',
+            timestamp: Date.now(),
+            isResponding: false,
+            health: 'offline',
+            blockHeight: 0,
+            responseTime: -1,
+            tps: 0,
+            peerCount: 0,
+            version: 'unknown',
+            details: {},
+            methods: {},
+            failedMethods: [],
+            error: error.message
+        };
+    }
+}
@@ -0,0 +1,89 @@
+import Web3 from 'web3';
+import { ChainAdapter } from './adapter.js';
+import { timeCalls, skipped } from '../rpc-timing.js';
+
+// Plausible gas price range in gwei
+const GAS_PRICE_RANGE = { min: 0.1, max: 10000 };
+
+export class EvmAdapter extends ChainAdapter {
+    constructor() {
+        super('evm');
+        // PulseChain block time in seconds
+        this.slotTime = 10;
+        this.pingMethod = 'eth_blockNumber';
+        this.requiredMethods = ['eth_blockNumber'];
+    }
+
+    // Web3's HTTP provider takes no AbortSignal, so requests are bounded by
+    // the budget's deadline but not cancelled on the wire
+    async probe(url, budget) {
+        const web3 = new Web3(url);
+
+        const first = await timeCalls({
+            eth_blockNumber: () => web3.eth.getBlockNumber(),
+            eth_gasPrice: async () => web3.utils.fromWei(await web3.eth.getGasPrice(), 'gwei'),
+            net_peerCount: () => web3.eth.net.getPeerCount(),
+            eth_syncing: () => web3.eth.isSyncing(),
+            web3_clientVersion: () => web3.eth.getNodeInfo()
+        }, budget);
+
+        // The previous block gives the block time for the TPS estimate
+        const blockNumber = first.values.eth_blockNumber;
+        const blocks = blockNumber !== null
+            ? await timeCalls({
+                eth_getBlockByNumber: () => Promise.all([
+                    web3.eth.getBlock(blockNumber),
+                    web3.eth.getBlock(Number(blockNumber) - 1)
+                ])
+            }, budget)
+            : { values: { eth_getBlockByNumber: null }, methods: skipped('eth_getBlockByNumber', 'eth_blockNumber failed') };
+
+        return {
+            values: { ...first.values, ...blocks.values },
+            methods: { ...first.methods, ...blocks.methods }
+        };
+    }
+
+    normalize({
+        eth_blockNumber: blockNumber,
+        eth_gasPrice: gasPrice,
+        net_peerCount: peerCount,
+        eth_syncing: syncing,
+        web3_clientVersion: clientVersion,
+        eth_getBlockByNumber: blocks
+    }) {
+        const [block, parent] = blocks || [];
+        const blockTime = block && parent ? Number(block.timestamp) - Number(parent.timestamp) : 0;
+
+        return {
+            blockHeight: Number(blockNumber),
+            tps: blockTime > 0 ? block.transactions.length / blockTime : 0,
+            peerCount: Number(peerCount || 0),
+            version: clientVersion || 'unknown',
+            health: syncing ? 'unhealthy' : 'healthy',
+            details: {
+                gasPrice: gasPrice !== null ? parseFloat(gasPrice) : null,
+                blockTimestamp: block ? Number(block.timestamp) : null,
+                transactions: block ? block.transactions.length : 0
+            }
+        };
+    }
+
+    checks(record) {
+        const issues = [];
+        const { gasPrice } = record.details;
+        if (gasPrice !== null && gasPrice !== undefined && (gasPrice < GAS_PRICE_RANGE.min || gasPrice > GAS_PRICE_RANGE.max)) {
+            issues.push(`Unusual gas price: ${gasPrice} gwei`);
+        }
+        return issues;
+    }
+
+    validate(record) {
+        if (!record.isResponding) return true;
+        const { gasPrice } = record.details;
+        // A degraded node may have failed eth_gasPrice, that is not implausible
+        const validGasPrice = gasPrice === null ||
+            (gasPrice >= GAS_PRICE_RANGE.min && gasPrice <= GAS_PRICE_RANGE.max);
+        return record.blockHeight > 0 && record.peerCount > 0 && validGasPrice;
+    }
+}
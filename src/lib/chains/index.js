@@ -0,0 +1,18 @@
+import { K2Adapter } from './k2.js';
+import { EvmAdapter } from './evm.js';
+
+const ADAPTERS = {
+    k2: K2Adapter,
+    evm: EvmAdapter
+};
+
+export function createChainAdapter(chain) {
+    const Adapter = ADAPTERS[chain];
+    if (!Adapter) {
+        throw new Error(`Unknown chain "${chain}" (expected ${Object.keys(ADAPTERS).join(', ')})`);
+    }
+    return new Adapter();
+}
+
+export { ChainAdapter } from './adapter.js';
+export { K2Adapter, EvmAdapter };
@@ -0,0 +1,113 @@
+import { Connection } from '@solana/web3.js';
+import { ChainAdapter } from './adapter.js';
+import { timeCalls, skipped } from '../rpc-timing.js';
+import { probeWebSocket, websocketUrl } from '../ws-probe.js';
+
+// A Connection whose HTTP requests are aborted with the given signal.
+// Retries are left to the probe budget instead of web3.js.
+export function k2Connection(url, signal, commitment) {
+    return new Connection(url, {
+        commitment,
+        disableRetryOnRateLimit: true,
+        fetch: (input, init) => fetch(input, { ...init, signal })
+    });
+}
+
+export class K2Adapter extends ChainAdapter {
+    constructor() {
+        super('k2');
+        // Seconds per slot, see round_time in config-task.yml
+        this.slotTime = 0.408;
+        this.pingMethod = 'getHealth';
+        this.requiredMethods = ['getSlot'];
+    }
+
+    async probe(url, budget) {
+        const first = await timeCalls({
+            getSlot: signal => k2Connection(url, signal).getSlot(),
+            getSupply: signal => k2Connection(url, signal).getSupply(),
+            getHealth: signal => fetch(`${url}/health`, { signal }).then(res => res.ok),
+            getVersion: signal => k2Connection(url, signal).getVersion(),
+            getRecentPerformanceSamples: signal => k2Connection(url, signal).getRecentPerformanceSamples(1),
+            getClusterNodes: signal => k2Connection(url, signal).getClusterNodes()
+        }, budget);
+
+        const slot = first.values.getSlot;
+        const block = slot !== null
+            ? await timeCalls({
+                getConfirmedBlock: signal => k2Connection(url, signal).getConfirmedBlock(slot)
+            }, budget)
+            : { values: { getConfirmedBlock: null }, methods: skipped('getConfirmedBlock', 'getSlot failed') };
+
+        return {
+            values: { ...first.values, ...block.values },
+            methods: { ...first.methods, ...block.methods }
+        };
+    }
+
+    // Advertised "ip:port" rpc addresses of the cluster's gossip peers,
+    // null for nodes that do not expose RPC
+    async discoverEndpoints(url, budget) {
+        const nodes = await budget.run('getClusterNodes', signal => k2Connection(url, signal).getClusterNodes());
+        return nodes.map(node => node.rpc);
+    }
+
+    // Listen to slot and root notifications, then compare the last notified
+    // slot with the HTTP slot. The listening window is cut to what is left of
+    // the budget after the connect and the closing getSlot.
+    async probeWebSocket(endpoint, budget, { duration, maxLag }) {
+        const timeout = Math.min(budget.policy.timeout, budget.remaining());
+        const window = Math.min(duration, budget.remaining() - 2 * timeout);
+        if (window <= 0) return null;
+
+        return probeWebSocket(endpoint.ws || websocketUrl(endpoint.url), {
+            duration: window,
+            timeout,
+            slotTime: this.slotTime,
+            maxLag,
+            getHttpSlot: () => budget.once('getSlot', signal => k2Connection(endpoint.url, signal).getSlot())
+        });
+    }
+
+    normalize({
+        getSlot: slot,
+        getSupply: supply,
+        getHealth: health,
+        getVersion: version,
+        getRecentPerformanceSamples: performance,
+        getClusterNodes: clusterNodes,
+        getConfirmedBlock: block
+    }) {
+        const sample = performance?.[0];
+        const transactions = block?.transactions || [];
+        const fees = transactions.reduce((acc, tx) => acc + (tx.meta?.fee || 0), 0);
+
+        return {
+            blockHeight: slot,
+            tps: sample ? sample.numTransactions / sample.samplePeriodSecs : 0,
+            peerCount: clusterNodes?.length || 0,
+            version: version?.['solana-core'] || 'unknown',
+            health: health === false ? 'unhealthy' : 'healthy',
+            details: {
+                totalSupply: supply?.value.total || 0,
+                circulatingSupply: supply?.value.circulating || 0,
+                transactions: transactions.length,
+                // Convert lamports to KOII
+                averageFee: transactions.length ? fees / transactions.length / 1e9 : 0
+            }
+        };
+    }
+
+    checks(record, thresholds) {
+        const issues = [];
+        if (record.details.averageFee > thresholds.maxTransactionCost) {
+            issues.push(`High transaction fees: ${record.details.averageFee.toFixed(4)} KOII`);
+        }
+        return issues;
+    }
+
+    validate(record) {
+        if (!record.isResponding) return true;
+        return record.blockHeight > 0 && record.version !== 'unknown';
+    }
+}
@@ -0,0 +1,56 @@
+// Consensus tip of a network and how far each endpoint trails it
+
+export const TIP_METHODS = ['highest', 'quorum'];
+
+export function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    if (sorted.length % 2 === 0) {
+        return (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    return sorted[middle];
+}
+
+/**
+ * Tip of a set of observed heights.
+ * 'highest' trusts the most advanced endpoint, 'quorum' takes the median of
+ * the `quorumSize` most advanced ones so a single endpoint reporting a bogus
+ * height cannot make every other endpoint look behind.
+ */
+export function clusterTip(heights, { tipMethod = 'quorum', quorumSize = 3 } = {}) {
+    const valid = heights.filter(height => height > 0);
+    if (valid.length === 0) return 0;
+
+    if (tipMethod === 'highest') return Math.max(...valid);
+
+    const top = valid.sort((a, b) => b - a).slice(0, quorumSize);
+    return Math.floor(median(top));
+}
+
+// Tip per network, endpoints of different networks never share a tip
+export function tipsByNetwork(records, options) {
+    const heights = {};
+    for (const record of records) {
+        if (!record.isResponding) continue;
+        (heights[record.network] = heights[record.network] || []).push(record.blockHeight);
+    }
+    return Object.fromEntries(
+        Object.entries(heights).map(([network, values]) => [network, clusterTip(values, options)])
+    );
+}
+
+/**
+ * Add slotLag (slots) and secondsBehind to every record.
+ * Offline endpoints get null for both.
+ */
+export function annotateSlotLag(records, slotTime, options) {
+    const tips = tipsByNetwork(records, options);
+    return records.map(record => {
+        if (!record.isResponding || !tips[record.network]) {
+            return { ...record, slotLag: null, secondsBehind: null };
+        }
+        const slotLag = Math.max(0, tips[record.network] - record.blockHeight);
+        return { ...record, slotLag, secondsBehind: slotLag * slotTime };
+    });
+}
@@ -0,0 +1,658 @@
+import 'dotenv/config';
+import { TIP_METHODS } from './cluster-tip.js';
+import { DEFAULT_PROBE_POLICY, TASK_SLOT_MS } from './request-policy.js';
+
+// Runtime configuration shared by the task and the CLI monitors.
+// Values come from the task variables declared in config-task.yml
+// (the node exposes them as environment variables) and fall back to
+// the defaults below.
+
+export const NETWORK_TYPES = ['mainnet', 'testnet', 'devnet'];
+
+// Chains a deployment can monitor, see src/lib/chains
+export const CHAIN_TYPES = ['k2', 'evm'];
+
+// Content-addressed store backends for submission payloads, see content-store.js
+export const SUBMISSION_STORE_BACKENDS = ['ipfs', 'fs'];
+
+// Reward split modes, see distribution.js
+export const DISTRIBUTION_MODES = ['equal', 'quality', 'quality-stake'];
+
+// What an endpoint's health means for its availability, see uptime.js
+export const AVAILABILITY_STATES = ['up', 'degraded', 'down'];
+
+// IPFS payloads are readable by every node. fs is per node, so it is only
+// for development and tests where all nodes share a disk.
+export const DEFAULT_SUBMISSION_STORE = {
+    backend: 'ipfs',
+    dir: './data/submissions',
+    ipfsApi: 'http://127.0.0.1:5001',
+    gateway: 'https://ipfs.io'
+};
+
+export const DEFAULT_ENDPOINTS = [
+    { url: 'https://k2-mainnet.koii.live', network: 'mainnet' },
+    { url: 'https://k2-testnet.koii.live', network: 'testnet' },
+];
+
+// PulseChain mainnet RPC endpoints
+export const DEFAULT_EVM_ENDPOINTS = [
+    { url: 'https://rpc.pulsechain.com', network: 'mainnet' },
+    { url: 'https://pulsechain.publicnode.com', network: 'mainnet' },
+    { url: 'https://rpc-pulsechain.g4mm4.io', network: 'mainnet' },
+];
+
+export const DEFAULT_CHECK_INTERVAL = 15; // seconds
+
+export const DEFAULT_HISTORY_LENGTH = 60; // observations kept per endpoint
+
+export const DEFAULT_ROUND_RETENTION = 100; // rounds of state kept behind the newest, see round-state.js
+
+// round_time from config-task.yml, in slots
+export const DEFAULT_ROUND_TIME = 1200;
+
+// Share of the round one endpoint may spend on its probes
+export const DEFAULT_PROBE_BUDGET_FRACTION = 0.1;
+
+// Lightweight latency samples taken per endpoint and round
+export const DEFAULT_LATENCY = {
+    samples: 5,
+    interval: 200 // ms between samples
+};
+
+// PubSub probe of K2 endpoints, see ws-probe.js
+export const DEFAULT_WEBSOCKET = {
+    enabled: true,
+    duration: 5000 // ms spent listening for notifications
+};
+
+// Endpoint discovery through getClusterNodes, see discovery.js
+export const DEFAULT_DISCOVERY = {
+    enabled: false,
+    ttl: 1800,          // seconds a discovered endpoint lives without being advertised
+    maxEndpoints: 20    // discovered endpoints monitored per network
+};
+
+export const DEFAULT_ALERT_THRESHOLDS = {
+    responseTime: 3000,       // ms
+    blockStall: 60,           // seconds without new blocks
+    minPeers: 3,
+    minStake: 1,              // KOII
+    maxTransactionCost: 0.1,  // KOII
+    minTps: 1,
+    maxSlotLag: 30,           // seconds behind the cluster tip
+    maxWsLag: 5,              // seconds the WebSocket slot may trail the HTTP slot
+    maxSkipRate: 25           // percent of a watched validator's leader slots skipped
+};
+
+// How far a node's metrics may be from the median of all reports before the
+// audit fails it: the larger of `absolute` and `relative` times the median.
+// blockHeight is compared after aligning reports to the same instant, and
+// the blockHeight tolerance also applies to the auditor's own re-probes.
+export const DEFAULT_AUDIT_TOLERANCES = {
+    blockHeight: { absolute: 150, relative: 0 },     // slots
+    tps: { absolute: 1, relative: 0.25 },
+    peerCount: { absolute: 2, relative: 0.25 }
+};
+
+// Submitters sharing identical measurements, see copycat.js
+export const DEFAULT_COPYCAT = {
+    threshold: 0.5,   // share of the commonly probed endpoints that may be identical
+    minNodes: 2,      // identical endpoints needed before a pair is flagged
+    penalty: 50       // percent of the audit score taken from every cluster member
+};
+
+// Endpoints of each submission the auditor probes itself, see reprobe.js
+export const DEFAULT_AUDIT_REPROBE_SAMPLE = 3;
+
+// Lowest audit engine score (0-100) a submission passes with, see round-audit.js
+export const DEFAULT_AUDIT_MIN_SCORE = 70;
+
+// Graduated slashing of submitters voted down, see slashing.js
+export const DEFAULT_SLASHING = {
+    warnings: 1,              // offenses that only warn
+    steps: [10, 30, 50, 70],  // percent of the stake slashed at each further offense
+    cap: 70,                  // percent never exceeded, whatever the steps say
+    decayRounds: 10           // clean rounds that forgive one offense
+};
+
+// Reward split, see distribution.js for the modes
+export const DEFAULT_DISTRIBUTION = {
+    mode: 'equal',
+    stakeCap: 10000,    // KOII of stake counted per submitter in quality-stake mode
+    auditTolerance: 1   // difference per entry put down to rounding when auditing a list
+};
+
+// Uptime reports, see uptime.js. Degraded time counts as available but is
+// reported apart; map a health state to 'down' to count it as an outage.
+export const DEFAULT_UPTIME = {
+    availability: {
+        healthy: 'up',
+        degraded: 'degraded',
+        unhealthy: 'down',
+        offline: 'down'
+    },
+    maxGap: 3600    // seconds between two observations still counted as observed
+};
+
+// Scoring weights and tiers used by NodeMetrics
+export const DEFAULT_SCORING = {
+    weights: {
+        responseTime: 0.15,   // 15% of score
+        blockHeight: 0.15,    // 15% of score
+        slotLag: 0.2,         // 20% of score
+        tps: 0.15,            // 15% of score
+        health: 0.2,          // 20% of score
+        peers: 0.15           // 15% of score
+    },
+    thresholds: {
+        responseTime: {
+            excellent: 1000,  // < 1s
+            good: 2000,       // < 2s
+            fair: 3000,       // < 3s
+            poor: 5000        // < 5s
+        },
+        tps: {
+            excellent: 50,    // > 50 TPS
+            good: 30,         // > 30 TPS
+            fair: 10,         // > 10 TPS
+            poor: 1           // > 1 TPS
+        },
+        slotLag: {
+            excellent: 2,     // <= 2s behind the tip
+            good: 10,         // <= 10s
+            fair: 30,         // <= 30s
+            poor: 120         // <= 2min
+        }
+    },
+    // How the cluster tip is derived from the probed endpoints
+    tip: {
+        tipMethod: 'quorum',
+        quorumSize: 3
+    }
+};
+
+// Per-threshold overrides, e.g. ALERT_THRESHOLD_RESPONSE_TIME=5000
+const THRESHOLD_ENV_PREFIX = 'ALERT_THRESHOLD_';
+
+function toEnvSuffix(key) {
+    return key.replace(/([A-Z])/g, '_$1').toUpperCase();
+}
+
+// Guess the network from the URL the same way the CLI always has
+export function inferNetwork(url) {
+    if (url.includes('test')) return 'testnet';
+    if (url.includes('dev')) return 'devnet';
+    return 'mainnet';
+}
+
+function parseJson(name, raw, errors) {
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        errors.push(`${name} is not valid JSON: ${error.message}`);
+        return undefined;
+    }
+}
+
+function parseEndpoint(entry, errors) {
+    const endpoint = typeof entry === 'string'
+        ? { url: entry.trim() }
+        : { ...entry };
+
+    if (!endpoint.url || typeof endpoint.url !== 'string') {
+        errors.push(`K2_ENDPOINTS entry ${JSON.stringify(entry)} has no url`);
+        return null;
+    }
+
+    try {
+        const parsed = new URL(endpoint.url);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            errors.push(`K2_ENDPOINTS entry "${endpoint.url}" must use http or https`);
+            return null;
+        }
+    } catch {
+        errors.push(`K2_ENDPOINTS entry "${endpoint.url}" is not a valid URL`);
+        return null;
+    }
+
+    if (endpoint.ws !== undefined) {
+        try {
+            const parsed = new URL(endpoint.ws);
+            if (parsed.protocol !== 'ws:' && parsed.protocol !== 'wss:') {
+                errors.push(`K2_ENDPOINTS entry "${endpoint.url}" ws url must use ws or wss`);
+                return null;
+            }
+        } catch {
+            errors.push(`K2_ENDPOINTS entry "${endpoint.url}" has an invalid ws url "${endpoint.ws}"`);
+            return null;
+        }
+    }
+
+    endpoint.url = endpoint.url.replace(/\/+$/, '');
+    endpoint.network = endpoint.network || inferNetwork(endpoint.url);
+    if (!NETWORK_TYPES.includes(endpoint.network)) {
+        errors.push(`K2_ENDPOINTS entry "${endpoint.url}" has unknown network "${endpoint.network}"`);
+        return null;
+    }
+    return endpoint;
+}
+
+// K2_ENDPOINTS accepts a JSON array (of URLs or {url, network, ws} objects)
+// or a comma separated list of URLs
+function parseEndpoints(raw, chain, errors) {
+    if (raw === undefined || raw.trim() === '') {
+        return chain === 'evm' ? DEFAULT_EVM_ENDPOINTS : DEFAULT_ENDPOINTS;
+    }
+
+    const entries = raw.trim().startsWith('[')
+        ? parseJson('K2_ENDPOINTS', raw, errors)
+        : raw.split(',').filter(entry => entry.trim() !== '');
+    if (!Array.isArray(entries)) {
+        if (entries !== undefined) errors.push('K2_ENDPOINTS must be an array');
+        return [];
+    }
+
+    const endpoints = entries.map(entry => parseEndpoint(entry, errors)).filter(Boolean);
+    if (endpoints.length === 0 && errors.length === 0) {
+        errors.push('K2_ENDPOINTS does not contain any endpoint');
+    }
+
+    // Drop duplicates so a node is never probed twice per round
+    return endpoints.filter((endpoint, index) =>
+        endpoints.findIndex(e => e.url === endpoint.url) === index
+    );
+}
+
+// WATCH_VALIDATORS is a comma separated list or JSON array of identity pubkeys
+function parseValidators(raw, errors) {
+    if (raw === undefined || raw.trim() === '') return [];
+    const entries = raw.trim().startsWith('[')
+        ? parseJson('WATCH_VALIDATORS', raw, errors)
+        : raw.split(',').map(entry => entry.trim()).filter(Boolean);
+    if (!Array.isArray(entries)) {
+        if (entries !== undefined) errors.push('WATCH_VALIDATORS must be an array');
+        return [];
+    }
+
+    const invalid = entries.filter(entry => typeof entry !== 'string' || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(entry));
+    if (invalid.length > 0) {
+        errors.push(`WATCH_VALIDATORS contains invalid identity pubkey(s): ${invalid.join(', ')}`);
+    }
+    return [...new Set(entries.filter(entry => !invalid.includes(entry)))];
+}
+
+function parseSubmissionStore(env, errors) {
+    const store = { ...DEFAULT_SUBMISSION_STORE };
+    if (env.SUBMISSION_STORE !== undefined && env.SUBMISSION_STORE.trim() !== '') {
+        const backend = env.SUBMISSION_STORE.trim().toLowerCase();
+        if (SUBMISSION_STORE_BACKENDS.includes(backend)) {
+            store.backend = backend;
+        } else {
+            errors.push(`SUBMISSION_STORE must be one of ${SUBMISSION_STORE_BACKENDS.join(', ')}, got "${env.SUBMISSION_STORE}"`);
+        }
+    }
+    if (env.SUBMISSION_STORE_DIR !== undefined && env.SUBMISSION_STORE_DIR.trim() !== '') {
+        store.dir = env.SUBMISSION_STORE_DIR.trim();
+    }
+    for (const [name, field] of [['SUBMISSION_STORE_IPFS_API', 'ipfsApi'], ['SUBMISSION_STORE_GATEWAY', 'gateway']]) {
+        const raw = env[name];
+        if (raw === undefined || raw.trim() === '') continue;
+        try {
+            const parsed = new URL(raw.trim());
+            if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+                errors.push(`${name} must use http or https, got "${raw}"`);
+                continue;
+            }
+            store[field] = raw.trim().replace(/\/+$/, '');
+        } catch {
+            errors.push(`${name} is not a valid URL, got "${raw}"`);
+        }
+    }
+    return store;
+}
+
+function parseDistribution(env, errors) {
+    const distribution = {
+        mode: DEFAULT_DISTRIBUTION.mode,
+        stakeCap: parsePositiveNumber('DISTRIBUTION_STAKE_CAP', env.DISTRIBUTION_STAKE_CAP, DEFAULT_DISTRIBUTION.stakeCap, errors),
+        auditTolerance: parseNonNegativeInteger(
+            'DISTRIBUTION_AUDIT_TOLERANCE', env.DISTRIBUTION_AUDIT_TOLERANCE, DEFAULT_DISTRIBUTION.auditTolerance, errors
+        )
+    };
+    if (env.DISTRIBUTION_MODE !== undefined && env.DISTRIBUTION_MODE.trim() !== '') {
+        const mode = env.DISTRIBUTION_MODE.trim().toLowerCase();
+        if (DISTRIBUTION_MODES.includes(mode)) {
+            distribution.mode = mode;
+        } else {
+            errors.push(`DISTRIBUTION_MODE must be one of ${DISTRIBUTION_MODES.join(', ')}, got "${env.DISTRIBUTION_MODE}"`);
+        }
+    }
+    return distribution;
+}
+
+function parseSlashing(env, errors) {
+    const slashing = {
+        warnings: parseNonNegativeInteger('SLASH_WARNINGS', env.SLASH_WARNINGS, DEFAULT_SLASHING.warnings, errors),
+        steps: [...DEFAULT_SLASHING.steps],
+        cap: parsePositiveNumber('SLASH_CAP', env.SLASH_CAP, DEFAULT_SLASHING.cap, errors),
+        decayRounds: Math.floor(parsePositiveNumber('SLASH_DECAY_ROUNDS', env.SLASH_DECAY_ROUNDS, DEFAULT_SLASHING.decayRounds, errors))
+    };
+    if (slashing.cap > 100) {
+        errors.push(`SLASH_CAP must be at most 100 (percent), got "${env.SLASH_CAP}"`);
+    }
+
+    if (env.SLASH_STEPS !== undefined && env.SLASH_STEPS.trim() !== '') {
+        const steps = env.SLASH_STEPS.split(',').map(step => Number(step.trim()));
+        if (steps.some(step => !Number.isFinite(step) || step <= 0 || step > 100)) {
+            errors.push(`SLASH_STEPS must be comma separated percents between 0 and 100, got "${env.SLASH_STEPS}"`);
+        } else if (steps.some((step, index) => index > 0 && step < steps[index - 1])) {
+            errors.push(`SLASH_STEPS must not decrease, got "${env.SLASH_STEPS}"`);
+        } else {
+            slashing.steps = steps;
+        }
+    }
+    return slashing;
+}
+
+function parseCopycat(env, errors) {
+    const copycat = {
+        threshold: parsePositiveNumber('COPYCAT_THRESHOLD', env.COPYCAT_THRESHOLD, DEFAULT_COPYCAT.threshold, errors),
+        minNodes: Math.floor(parsePositiveNumber('COPYCAT_MIN_NODES', env.COPYCAT_MIN_NODES, DEFAULT_COPYCAT.minNodes, errors)),
+        penalty: parsePositiveNumber('COPYCAT_PENALTY', env.COPYCAT_PENALTY, DEFAULT_COPYCAT.penalty, errors)
+    };
+    if (copycat.threshold > 1) {
+        errors.push(`COPYCAT_THRESHOLD must be at most 1, got "${env.COPYCAT_THRESHOLD}"`);
+    }
+    if (copycat.penalty > 100) {
+        errors.push(`COPYCAT_PENALTY must be at most 100 (percent), got "${env.COPYCAT_PENALTY}"`);
+    }
+    return copycat;
+}
+
+// UPTIME_AVAILABILITY overrides single health states, e.g. {"degraded": "down"}
+function parseUptime(env, errors) {
+    const uptime = {
+        availability: { ...DEFAULT_UPTIME.availability },
+        maxGap: parsePositiveNumber('UPTIME_MAX_GAP', env.UPTIME_MAX_GAP, DEFAULT_UPTIME.maxGap, errors)
+    };
+    if (env.UPTIME_AVAILABILITY === undefined || env.UPTIME_AVAILABILITY.trim() === '') return uptime;
+
+    const overrides = parseJson('UPTIME_AVAILABILITY', env.UPTIME_AVAILABILITY, errors);
+    if (overrides === undefined) return uptime;
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        errors.push('UPTIME_AVAILABILITY must be a JSON object');
+        return uptime;
+    }
+
+    for (const [health, state] of Object.entries(overrides)) {
+        if (!(health in DEFAULT_UPTIME.availability)) {
+            errors.push(`UPTIME_AVAILABILITY.${health} is not a health state (expected ${Object.keys(DEFAULT_UPTIME.availability).join(', ')})`);
+        } else if (!AVAILABILITY_STATES.includes(state)) {
+            errors.push(`UPTIME_AVAILABILITY.${health} must be one of ${AVAILABILITY_STATES.join(', ')}, got ${JSON.stringify(state)}`);
+        } else {
+            uptime.availability[health] = state;
+        }
+    }
+    return uptime;
+}
+
+function parseChain(raw, errors) {
+    if (raw === undefined || raw.trim() === '') return 'k2';
+    const chain = raw.trim().toLowerCase();
+    if (!CHAIN_TYPES.includes(chain)) {
+        errors.push(`CHAIN_TYPE must be one of ${CHAIN_TYPES.join(', ')}, got "${raw}"`);
+        return 'k2';
+    }
+    return chain;
+}
+
+function parseTip(env, errors) {
+    const tip = { ...DEFAULT_SCORING.tip };
+    if (env.SLOT_TIP_METHOD !== undefined && env.SLOT_TIP_METHOD.trim() !== '') {
+        if (TIP_METHODS.includes(env.SLOT_TIP_METHOD.trim())) {
+            tip.tipMethod = env.SLOT_TIP_METHOD.trim();
+        } else {
+            errors.push(`SLOT_TIP_METHOD must be one of ${TIP_METHODS.join(', ')}, got "${env.SLOT_TIP_METHOD}"`);
+        }
+    }
+    tip.quorumSize = Math.floor(parsePositiveNumber('SLOT_TIP_QUORUM', env.SLOT_TIP_QUORUM, tip.quorumSize, errors));
+    return tip;
+}
+
+function parseNetworks(raw, errors) {
+    if (raw === undefined || raw.trim() === '') return NETWORK_TYPES;
+
+    const networks = raw.split(',').map(n => n.trim().toLowerCase()).filter(Boolean);
+    const unknown = networks.filter(n => !NETWORK_TYPES.includes(n));
+    if (unknown.length > 0) {
+        errors.push(`NETWORK_TYPES contains unknown network(s): ${unknown.join(', ')} (expected ${NETWORK_TYPES.join(', ')})`);
+    }
+    if (networks.length === 0) {
+        errors.push('NETWORK_TYPES must list at least one network');
+    }
+    return networks.filter(n => NETWORK_TYPES.includes(n));
+}
+
+function parsePositiveNumber(name, raw, fallback, errors) {
+    if (raw === undefined || String(raw).trim() === '') return fallback;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value <= 0) {
+        errors.push(`${name} must be a positive number, got "${raw}"`);
+        return fallback;
+    }
+    return value;
+}
+
+function parseBoolean(name, raw, fallback, errors) {
+    if (raw === undefined || String(raw).trim() === '') return fallback;
+    const value = String(raw).trim().toLowerCase();
+    if (['true', '1', 'yes'].includes(value)) return true;
+    if (['false', '0', 'no'].includes(value)) return false;
+    errors.push(`${name} must be true or false, got "${raw}"`);
+    return fallback;
+}
+
+function parseNonNegativeInteger(name, raw, fallback, errors) {
+    if (raw === undefined || String(raw).trim() === '') return fallback;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 0) {
+        errors.push(`${name} must be a non-negative integer, got "${raw}"`);
+        return fallback;
+    }
+    return value;
+}
+
+// Per-request deadline, retries and the per-endpoint budget derived from
+// the round length so a round always ends within a known share of it
+function parseProbePolicy(env, errors) {
+    const roundTime = parsePositiveNumber('ROUND_TIME', env.ROUND_TIME, DEFAULT_ROUND_TIME, errors);
+    const fraction = parsePositiveNumber('PROBE_BUDGET_FRACTION', env.PROBE_BUDGET_FRACTION, DEFAULT_PROBE_BUDGET_FRACTION, errors);
+    if (fraction > 1) {
+        errors.push(`PROBE_BUDGET_FRACTION must be at most 1, got "${env.PROBE_BUDGET_FRACTION}"`);
+    }
+
+    const policy = {
+        timeout: parsePositiveNumber('PROBE_TIMEOUT', env.PROBE_TIMEOUT, DEFAULT_PROBE_POLICY.timeout, errors),
+        retries: parseNonNegativeInteger('PROBE_RETRIES', env.PROBE_RETRIES, DEFAULT_PROBE_POLICY.retries, errors),
+        backoffBase: parsePositiveNumber('PROBE_BACKOFF', env.PROBE_BACKOFF, DEFAULT_PROBE_POLICY.backoffBase, errors),
+        backoffMax: parsePositiveNumber('PROBE_BACKOFF_MAX', env.PROBE_BACKOFF_MAX, DEFAULT_PROBE_POLICY.backoffMax, errors),
+        budget: Math.floor(roundTime * TASK_SLOT_MS * Math.min(fraction, 1))
+    };
+    if (policy.timeout > policy.budget) {
+        errors.push(`PROBE_TIMEOUT (${policy.timeout}ms) exceeds the per-endpoint budget of ${policy.budget}ms`);
+    }
+    return policy;
+}
+
+// AUDIT_TOLERANCES overrides single parts, e.g. {"tps": {"relative": 0.5}}
+function parseAuditTolerances(raw, errors) {
+    const tolerances = Object.fromEntries(
+        Object.entries(DEFAULT_AUDIT_TOLERANCES).map(([metric, tolerance]) => [metric, { ...tolerance }])
+    );
+    if (raw === undefined || raw.trim() === '') return tolerances;
+
+    const overrides = parseJson('AUDIT_TOLERANCES', raw, errors);
+    if (overrides === undefined) return tolerances;
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        errors.push('AUDIT_TOLERANCES must be a JSON object');
+        return tolerances;
+    }
+
+    for (const [metric, override] of Object.entries(overrides)) {
+        if (!(metric in DEFAULT_AUDIT_TOLERANCES)) {
+            errors.push(`AUDIT_TOLERANCES.${metric} is not an audited metric (expected ${Object.keys(DEFAULT_AUDIT_TOLERANCES).join(', ')})`);
+            continue;
+        }
+        if (!override || typeof override !== 'object' || Array.isArray(override)) {
+            errors.push(`AUDIT_TOLERANCES.${metric} must be an object with absolute and/or relative`);
+            continue;
+        }
+        for (const [part, value] of Object.entries(override)) {
+            if (part !== 'absolute' && part !== 'relative') {
+                errors.push(`AUDIT_TOLERANCES.${metric}.${part} is not a tolerance part (expected absolute, relative)`);
+            } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                errors.push(`AUDIT_TOLERANCES.${metric}.${part} must be a non-negative number, got ${JSON.stringify(value)}`);
+            } else {
+                tolerances[metric][part] = value;
+            }
+        }
+    }
+    return tolerances;
+}
+
+function parseAlertThresholds(env, errors) {
+    const thresholds = { ...DEFAULT_ALERT_THRESHOLDS };
+
+    if (env.ALERT_THRESHOLDS !== undefined && env.ALERT_THRESHOLDS.trim() !== '') {
+        const overrides = parseJson('ALERT_THRESHOLDS', env.ALERT_THRESHOLDS, errors);
+        if (overrides !== undefined) {
+            if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+                errors.push('ALERT_THRESHOLDS must be a JSON object');
+            } else {
+                for (const [key, value] of Object.entries(overrides)) {
+                    if (!(key in DEFAULT_ALERT_THRESHOLDS)) {
+                        errors.push(`ALERT_THRESHOLDS.${key} is not a known threshold (expected ${Object.keys(DEFAULT_ALERT_THRESHOLDS).join(', ')})`);
+                        continue;
+                    }
+                    thresholds[key] = parsePositiveNumber(`ALERT_THRESHOLDS.${key}`, value, thresholds[key], errors);
+                }
+            }
+        }
+    }
+
+    for (const key of Object.keys(DEFAULT_ALERT_THRESHOLDS)) {
+        const name = THRESHOLD_ENV_PREFIX + toEnvSuffix(key);
+        thresholds[key] = parsePositiveNumber(name, env[name], thresholds[key], errors);
+    }
+
+    return thresholds;
+}
+
+/**
+ * Build the runtime config from the given environment.
+ * Throws a single error listing every invalid variable.
+ */
+export function loadConfig(env = process.env) {
+    const errors = [];
+
+    const chain = parseChain(env.CHAIN_TYPE, errors);
+    const networks = parseNetworks(env.NETWORK_TYPES, errors);
+    const endpoints = parseEndpoints(env.K2_ENDPOINTS, chain, errors)
+        .filter(endpoint => networks.includes(endpoint.network));
+    const checkInterval = parsePositiveNumber('CHECK_INTERVAL', env.CHECK_INTERVAL, DEFAULT_CHECK_INTERVAL, errors);
+    const historyLength = parsePositiveNumber('HISTORY_LENGTH', env.HISTORY_LENGTH, DEFAULT_HISTORY_LENGTH, errors);
+    const roundRetention = parsePositiveNumber('ROUND_RETENTION', env.ROUND_RETENTION, DEFAULT_ROUND_RETENTION, errors);
+    const alertThresholds = parseAlertThresholds(env, errors);
+    const tip = parseTip(env, errors);
+    const probe = parseProbePolicy(env, errors);
+    const latency = {
+        samples: Math.floor(parsePositiveNumber('LATENCY_SAMPLES', env.LATENCY_SAMPLES, DEFAULT_LATENCY.samples, errors)),
+        interval: parsePositiveNumber('LATENCY_SAMPLE_INTERVAL', env.LATENCY_SAMPLE_INTERVAL, DEFAULT_LATENCY.interval, errors)
+    };
+
+    const websocket = {
+        // Only chains with a PubSub probe use it
+        enabled: parseBoolean('WS_PROBE', env.WS_PROBE, DEFAULT_WEBSOCKET.enabled, errors),
+        duration: parsePositiveNumber('WS_PROBE_DURATION', env.WS_PROBE_DURATION, DEFAULT_WEBSOCKET.duration, errors)
+    };
+    if (websocket.enabled && websocket.duration >= probe.budget) {
+        errors.push(`WS_PROBE_DURATION (${websocket.duration}ms) exceeds the per-endpoint budget of ${probe.budget}ms`);
+    }
+
+    const watchValidators = parseValidators(env.WATCH_VALIDATORS, errors);
+    const submissionStore = parseSubmissionStore(env, errors);
+    const auditTolerances = parseAuditTolerances(env.AUDIT_TOLERANCES, errors);
+    const distribution = parseDistribution(env, errors);
+    const copycat = parseCopycat(env, errors);
+    const slashing = parseSlashing(env, errors);
+    const uptime = parseUptime(env, errors);
+    const auditReprobeSample = parseNonNegativeInteger(
+        'AUDIT_REPROBE_SAMPLE', env.AUDIT_REPROBE_SAMPLE, DEFAULT_AUDIT_REPROBE_SAMPLE, errors
+    );
+    const auditMinScore = parsePositiveNumber('AUDIT_MIN_SCORE', env.AUDIT_MIN_SCORE, DEFAULT_AUDIT_MIN_SCORE, errors);
+    if (auditMinScore > 100) {
+        errors.push(`AUDIT_MIN_SCORE must be at most 100, got "${env.AUDIT_MIN_SCORE}"`);
+    }
+    const discovery = {
+        enabled: parseBoolean('DISCOVERY', env.DISCOVERY, DEFAULT_DISCOVERY.enabled, errors),
+        ttl: parsePositiveNumber('DISCOVERY_TTL', env.DISCOVERY_TTL, DEFAULT_DISCOVERY.ttl, errors),
+        maxEndpoints: Math.floor(parsePositiveNumber('DISCOVERY_MAX_ENDPOINTS', env.DISCOVERY_MAX_ENDPOINTS, DEFAULT_DISCOVERY.maxEndpoints, errors))
+    };
+    if (discovery.enabled && chain !== 'k2') {
+        errors.push(`DISCOVERY is only supported for CHAIN_TYPE k2, got "${chain}"`);
+    }
+
+    if (errors.length === 0 && endpoints.length === 0) {
+        errors.push(`No K2_ENDPOINTS left to monitor for NETWORK_TYPES ${networks.join(', ')}`);
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid task configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return {
+        chain,
+        endpoints,
+        networks,
+        checkInterval,
+        historyLength: Math.floor(historyLength),
+        roundRetention: Math.floor(roundRetention),
+        latency,
+        probe,
+        websocket,
+        discovery,
+        watchValidators,
+        submissionStore,
+        auditTolerances,
+        auditReprobeSample,
+        auditMinScore,
+        copycat,
+        distribution,
+        slashing,
+        uptime,
+        alertThresholds,
+        scoring: {
+            weights: { ...DEFAULT_SCORING.weights },
+            thresholds: {
+                // The alert limits double as the "fair"/"poor" score tiers
+                responseTime: { ...DEFAULT_SCORING.thresholds.responseTime, fair: alertThresholds.responseTime },
+                tps: { ...DEFAULT_SCORING.thresholds.tps, poor: alertThresholds.minTps },
+                slotLag: { ...DEFAULT_SCORING.thresholds.slotLag, fair: alertThresholds.maxSlotLag },
+                blockStall: alertThresholds.blockStall,
+                minPeers: alertThresholds.minPeers,
+                maxTransactionCost: alertThresholds.maxTransactionCost
+            },
+            tip
+        }
+    };
+}
+
+let cachedConfig = null;
+
+// Config is read once per process; operators restart the task to apply changes
+export function getConfig() {
+    if (!cachedConfig) {
+        cachedConfig = loadConfig();
+    }
+    return cachedConfig;
+}
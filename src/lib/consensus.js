@@ -0,0 +1,143 @@
+import { median } from './cluster-tip.js';
+import { fetchVerified } from './content-store.js';
+import { verifySubmission } from './signing.js';
+import { parsePayload } from './schema.js';
+
+// Consensus view of a round. Each node only sees the endpoints from where it
+// runs; merging every submission of the round gives the network's combined
+// picture per endpoint: the median slot, how far the observers' latencies
+// spread, how many of them saw it up, and who disagreed with the others.
+
+/**
+ * @typedef {Object} EndpointConsensus
+ * @property {string} endpoint
+ * @property {string} network
+ * @property {number} observers      submissions reporting the endpoint
+ * @property {number} upFraction     0-1, share of them that saw it responding
+ * @property {'up'|'down'|'split'} status  majority view, split on a tie
+ * @property {number|null} medianSlot  of the responding observers, aligned to `slotAt`
+ * @property {number|null} slotAt      ms, median probe time of the responding observers
+ * @property {{ observers: number, min: number, median: number, max: number, spread: number }|null} latency
+ *           p50 latency (ms) of each responding observer with samples
+ * @property {Array<{ submitter: string, reasons: string[] }>} disagreed
+ */
+
+/**
+ * @typedef {Object} ConsensusReport
+ * @property {number} round
+ * @property {string[]} observers  submitters, sorted
+ * @property {EndpointConsensus[]} endpoints  sorted by endpoint
+ */
+
+/**
+ * Every submission of a round from K2, verified against its signature and
+ * content hash. Submissions that can't be fetched or verified are left out.
+ * @param {Object} wrapper  namespaceWrapper
+ * @param {import('./content-store.js').ContentStore} store
+ * @param {number} round
+ * @returns {Promise<Array<import('./monitor.js').RoundSummary & { submitter: string }>>}
+ */
+export async function loadRoundSubmissions(wrapper, store, round) {
+    const info = await wrapper.getTaskSubmissionInfo(round);
+    const submissions = info?.submissions?.[round] || {};
+
+    const payloads = [];
+    for (const [publicKey, entry] of Object.entries(submissions)) {
+        try {
+            const pointer = await verifySubmission(wrapper, JSON.parse(entry.submission_value), round, publicKey);
+            payloads.push({ ...parsePayload(await fetchVerified(store, pointer)), submitter: publicKey });
+        } catch (error) {
+            console.error(`Leaving out the submission of ${publicKey} in round ${round}:`, error.message);
+        }
+    }
+    return payloads;
+}
+
+/**
+ * Merge the submissions of a round per endpoint. Disagreement is decided
+ * by the audit engine, so the view and the audit never contradict each other.
+ * @param {number} round
+ * @param {Array<import('./monitor.js').RoundSummary & { submitter: string }>} submissions
+ * @param {import('./audit-engine.js').AuditEngine} engine
+ * @returns {ConsensusReport}
+ */
+export function buildConsensus(round, submissions, engine) {
+    const sorted = submissions.slice().sort((a, b) => a.submitter.localeCompare(b.submitter));
+
+    // endpoint -> [{ submitter, node }]
+    const reports = new Map();
+    for (const submission of sorted) {
+        for (const node of submission.nodes) {
+            if (!reports.has(node.endpoint)) reports.set(node.endpoint, []);
+            reports.get(node.endpoint).push({ submitter: submission.submitter, node });
+        }
+    }
+
+    const endpoints = [...reports.keys()].sort().map(endpoint => {
+        const observed = reports.get(endpoint);
+        const nodes = observed.map(report => report.node);
+        const responding = nodes.filter(node => node.metrics.isResponding);
+        const up = responding.length;
+        const down = nodes.length - up;
+
+        const slotAt = responding.length > 0 ? Math.round(median(responding.map(node => node.timestamp))) : null;
+        const medianSlot = responding.length > 0
+            ? Math.round(median(responding.map(node => engine.alignSlot(node, slotAt))))
+            : null;
+
+        const latencies = responding
+            .filter(node => node.metrics.latency && node.metrics.latency.samples > 0)
+            .map(node => node.metrics.latency.p50);
+        const latency = latencies.length > 0
+            ? {
+                observers: latencies.length,
+                min: Math.min(...latencies),
+                median: median(latencies),
+                max: Math.max(...latencies),
+                spread: Math.max(...latencies) - Math.min(...latencies)
+            }
+            : null;
+
+        const disagreed = [];
+        for (const { submitter, node } of observed) {
+            const verdict = engine.judgeNode(node, nodes);
+            if (verdict.ok !== false) continue;
+            disagreed.push({
+                submitter,
+                reasons: Object.entries(verdict.metrics)
+                    .filter(([, result]) => result.ok === false)
+                    .map(([metric, result]) => `${metric}: ${result.reason}`)
+            });
+        }
+
+        return {
+            endpoint,
+            network: nodes[0].network,
+            observers: nodes.length,
+            upFraction: up / nodes.length,
+            status: up > down ? 'up' : down > up ? 'down' : 'split',
+            medianSlot,
+            slotAt,
+            latency,
+            disagreed
+        };
+    });
+
+    return { round, observers: sorted.map(submission => submission.submitter), endpoints };
+}
+
+// One line per endpoint and dissenting observer for namespaceWrapper.logger
+export function formatConsensus(report) {
+    const lines = [`Consensus of round ${report.round}: ${report.observers.length} observers, ${report.endpoints.length} endpoints`];
+    for (const entry of report.endpoints) {
+        const slot = entry.medianSlot === null ? 'no slot' : `median slot ${entry.medianSlot}`;
+        const latency = entry.latency === null ? 'no latency' :
+            `p50 latency ${entry.latency.min}-${entry.latency.max} ms (median ${entry.latency.median})`;
+        lines.push(`  ${entry.endpoint} ${entry.status.toUpperCase()}: ${(entry.upFraction * 100).toFixed(0)}% ` +
+            `of ${entry.observers} saw it up, ${slot}, ${latency}, ${entry.disagreed.length} disagreed`);
+        for (const { submitter, reasons } of entry.disagreed) {
+            lines.push(`    ${submitter}: ${reasons.join('; ')}`);
+        }
+    }
+    return lines;
+}
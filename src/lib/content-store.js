@@ -0,0 +1,198 @@
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Content-addressed storage for round payloads. Only a small pointer
+// ({cid, hash}) goes on-chain, the payload itself lives in the store and is
+// fetched and verified by the auditors. IPFS, the default, is shared by all
+// nodes; fs is per node and only meant for development.
+
+// CIDv1 prefix of a raw block hashed with sha2-256 (multicodec 0x55, multihash 0x12, 32 bytes)
+const CID_PREFIX = Buffer.from([0x01, 0x55, 0x12, 0x20]);
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function base32(bytes) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+export function sha256(bytes) {
+    return createHash('sha256').update(bytes).digest('hex');
+}
+
+/**
+ * CIDv1 (raw codec, sha2-256, base32) of the bytes, the same CID IPFS gives
+ * a single raw block.
+ * @param {Buffer|string} bytes
+ * @returns {string}
+ */
+export function computeCid(bytes) {
+    const digest = createHash('sha256').update(bytes).digest();
+    return 'b' + base32(Buffer.concat([CID_PREFIX, digest]));
+}
+
+const CID_PATTERN = /^b[a-z2-7]{58}$/;
+
+export class ContentStore {
+    constructor(name) {
+        this.name = name;
+    }
+
+    // Store the bytes and resolve to their CID
+    async put(_bytes) {
+        throw new Error(`${this.name} store does not implement put()`);
+    }
+
+    // Resolve to the bytes stored under the CID
+    async get(_cid) {
+        throw new Error(`${this.name} store does not implement get()`);
+    }
+}
+
+// One file per CID in a directory. Every node has its own directory, so
+// this is meant for development and tests where all nodes share a disk.
+export class FileSystemStore extends ContentStore {
+    constructor(dir) {
+        super('fs');
+        this.dir = dir;
+    }
+
+    async put(bytes) {
+        const cid = computeCid(bytes);
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(path.join(this.dir, cid), bytes);
+        return cid;
+    }
+
+    async get(cid) {
+        // The CID becomes a file name, never let it leave the directory
+        if (!CID_PATTERN.test(cid)) {
+            throw new Error(`Invalid CID "${cid}"`);
+        }
+        try {
+            return await fs.readFile(path.join(this.dir, cid));
+        } catch (error) {
+            if (error.code === 'ENOENT') throw new Error(`CID ${cid} not found in ${this.dir}`);
+            throw error;
+        }
+    }
+}
+
+// Payloads are put as single raw blocks through the IPFS HTTP API of a node
+// the operator runs (or a pinning service speaking the same API), so their
+// CID is computeCid() of the bytes, and read back through a gateway, so
+// auditors don't need an IPFS node of their own.
+export class IpfsStore extends ContentStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.api      base url of the IPFS HTTP API, e.g. http://127.0.0.1:5001
+     * @param {string} options.gateway  base url of an IPFS gateway, e.g. https://ipfs.io
+     * @param {typeof fetch} [options.fetch]
+     */
+    constructor({ api, gateway, fetch = globalThis.fetch }) {
+        super('ipfs');
+        this.api = api.replace(/\/+$/, '');
+        this.gateway = gateway.replace(/\/+$/, '');
+        this.fetch = fetch;
+    }
+
+    async put(bytes) {
+        const form = new FormData();
+        form.append('file', new Blob([bytes]));
+        const response = await this.fetch(`${this.api}/api/v0/block/put?cid-codec=raw&mhtype=sha2-256&pin=true`, {
+            method: 'POST',
+            body: form
+        });
+        if (!response.ok) {
+            throw new Error(`IPFS block/put failed with HTTP ${response.status}`);
+        }
+        const { Key: cid } = await response.json();
+        // A node that hashed differently would leave auditors unable to verify it
+        if (cid !== computeCid(bytes)) {
+            throw new Error(`IPFS stored the payload as ${cid}, expected ${computeCid(bytes)}`);
+        }
+        return cid;
+    }
+
+    async get(cid) {
+        if (!CID_PATTERN.test(cid)) {
+            throw new Error(`Invalid CID "${cid}"`);
+        }
+        const response = await this.fetch(`${this.gateway}/ipfs/${cid}?format=raw`, {
+            headers: { Accept: 'application/vnd.ipld.raw' }
+        });
+        if (!response.ok) {
+            throw new Error(`CID ${cid} not found on ${this.gateway} (HTTP ${response.status})`);
+        }
+        return Buffer.from(await response.arrayBuffer());
+    }
+}
+
+const BACKENDS = {
+    ipfs: options => new IpfsStore({ api: options.ipfsApi, gateway: options.gateway, fetch: options.fetch }),
+    fs: options => new FileSystemStore(options.dir)
+};
+
+/**
+ * @param {{ backend: string, dir: string, ipfsApi: string, gateway: string, fetch?: typeof fetch }} options
+ *        config.submissionStore, `fetch` for tests
+ * @returns {ContentStore}
+ */
+export function createContentStore(options) {
+    const create = BACKENDS[options.backend];
+    if (!create) {
+        throw new Error(`Unknown submission store "${options.backend}" (expected ${Object.keys(BACKENDS).join(', ')})`);
+    }
+    return create(options);
+}
+
+/**
+ * @typedef {Object} SubmissionPointer
+ * @property {string} cid
+ * @property {string} hash  sha256 of the payload bytes, hex
+ */
+
+/**
+ * Serialize and store a payload.
+ * @param {ContentStore} store
+ * @param {Object|string} payload  object or its JSON
+ * @returns {Promise<SubmissionPointer>}
+ */
+export async function putPayload(store, payload) {
+    const bytes = Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload));
+    const cid = await store.put(bytes);
+    return { cid, hash: sha256(bytes) };
+}
+
+/**
+ * Fetch a payload by CID and check it against the pointer before parsing.
+ * @param {ContentStore} store
+ * @param {SubmissionPointer} pointer
+ * @returns {Promise<Object>}
+ */
+export async function fetchVerified(store, pointer) {
+    if (!pointer || typeof pointer.cid !== 'string' || typeof pointer.hash !== 'string') {
+        throw new Error('Submission is not a {cid, hash} pointer');
+    }
+    const bytes = await store.get(pointer.cid);
+    if (computeCid(bytes) !== pointer.cid) {
+        throw new Error(`Content of ${pointer.cid} does not match its CID`);
+    }
+    if (sha256(bytes) !== pointer.hash) {
+        throw new Error(`Content of ${pointer.cid} does not match the submitted hash`);
+    }
+    return JSON.parse(bytes.toString());
+}
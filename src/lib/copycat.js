@@ -0,0 +1,131 @@
+// Copycat and collusion detection. Nodes probing the same endpoint
+// independently never see exactly the same latency samples, nor the same
+// slot at the same moment with the same response time. Submitters that share such measurements on
+// many endpoints copied them from each other (or from a common source), even
+// if the copy got a fresh payload timestamp and passes the median checks.
+
+// Probes of the same slot this close together are treated as one probe
+const SAME_PROBE_MS = 5;
+
+// Honest nodes on the same round timer do probe the same slot within a few
+// ms, and see the same tps and peers. The response time is their own round
+// trip, so a shared probe also has to match it to the millisecond.
+const PROBE_METRICS = ['blockHeight', 'tps', 'peerCount', 'responseTime'];
+
+/**
+ * @typedef {Object} CopycatPair
+ * @property {string[]} submitters  the two submitters, sorted
+ * @property {number} matched   endpoints with identical measurements
+ * @property {number} compared  endpoints both reported as responding
+ * @property {Object<string, number>} reasons  matched endpoints per kind of match
+ */
+
+/**
+ * @typedef {Object} CopycatCluster
+ * @property {string[]} members  sorted
+ * @property {CopycatPair[]} pairs
+ */
+
+// Kinds of identical measurements between two reports of the same endpoint
+function sharedMeasurements(a, b) {
+    const reasons = [];
+    if (typeof a.metrics.responseTime === 'number' &&
+        PROBE_METRICS.every(metric => a.metrics[metric] === b.metrics[metric]) &&
+        Math.abs(a.timestamp - b.timestamp) <= SAME_PROBE_MS) {
+        reasons.push('slotAndTimestamp');
+    }
+    if (a.metrics.latency && a.metrics.latency.samples > 0 &&
+        JSON.stringify(a.metrics.latency) === JSON.stringify(b.metrics.latency)) {
+        reasons.push('latency');
+    }
+    return reasons;
+}
+
+/**
+ * Compare two submissions endpoint by endpoint.
+ * @returns {CopycatPair}
+ */
+export function comparePair(a, b) {
+    const pair = { submitters: [a.submitter, b.submitter].sort(), matched: 0, compared: 0, reasons: {} };
+    for (const node of a.nodes) {
+        const other = b.nodes.find(n => n.endpoint === node.endpoint);
+        if (!other || !node.metrics.isResponding || !other.metrics.isResponding) continue;
+
+        pair.compared++;
+        const reasons = sharedMeasurements(node, other);
+        if (reasons.length > 0) pair.matched++;
+        for (const reason of reasons) pair.reasons[reason] = (pair.reasons[reason] || 0) + 1;
+    }
+    return pair;
+}
+
+/**
+ * Group submitters whose measurements match on too many endpoints.
+ * @param {Array<import('./monitor.js').RoundSummary & { submitter: string }>} submissions
+ * @param {Object} options  config.copycat
+ * @param {number} options.threshold  share of the commonly probed endpoints that may match
+ * @param {number} options.minNodes   matching endpoints needed before a pair is flagged
+ * @returns {CopycatCluster[]}  sorted by first member
+ */
+export function detectCopycats(submissions, { threshold, minNodes }) {
+    const sorted = submissions.slice().sort((a, b) => a.submitter.localeCompare(b.submitter));
+    const flagged = [];
+    for (let i = 0; i < sorted.length; i++) {
+        for (let j = i + 1; j < sorted.length; j++) {
+            const pair = comparePair(sorted[i], sorted[j]);
+            if (pair.matched >= minNodes && pair.matched >= pair.compared * threshold) {
+                flagged.push(pair);
+            }
+        }
+    }
+
+    // Pairs sharing a submitter end up in one cluster
+    const parent = new Map();
+    const find = key => {
+        while (parent.get(key) !== key) key = parent.get(key);
+        return key;
+    };
+    for (const { submitters: [a, b] } of flagged) {
+        if (!parent.has(a)) parent.set(a, a);
+        if (!parent.has(b)) parent.set(b, b);
+        const [rootA, rootB] = [find(a), find(b)].sort();
+        parent.set(rootB, rootA);
+    }
+
+    const clusters = new Map();
+    for (const submitter of [...parent.keys()].sort()) {
+        const root = find(submitter);
+        if (!clusters.has(root)) clusters.set(root, { members: [], pairs: [] });
+        clusters.get(root).members.push(submitter);
+    }
+    for (const pair of flagged) {
+        clusters.get(find(pair.submitters[0])).pairs.push(pair);
+    }
+    return [...clusters.values()].sort((a, b) => a.members[0].localeCompare(b.members[0]));
+}
+
+/**
+ * Reduce the score of every member of a cluster. Who copied whom can't be
+ * told from the data, so all of them lose the same share.
+ * @param {import('./audit-engine.js').SubmissionVerdict[]} verdicts  changed in place
+ * @param {CopycatCluster[]} clusters
+ * @param {number} penalty  percent of the score taken away
+ */
+export function applyCopycatPenalty(verdicts, clusters, penalty) {
+    for (const cluster of clusters) {
+        for (const verdict of verdicts.filter(v => cluster.members.includes(v.submitter))) {
+            verdict.score *= 1 - penalty / 100;
+            verdict.copycat = cluster;
+        }
+    }
+}
+
+// One line per cluster and pair for namespaceWrapper.logger
+export function formatCluster(cluster) {
+    const lines = [`Copycat cluster for review: ${cluster.members.join(', ')}`];
+    for (const pair of cluster.pairs) {
+        const reasons = Object.entries(pair.reasons).map(([reason, count]) => `${reason} ${count}`).join(', ');
+        lines.push(`  ${pair.submitters.join(' ~ ')}: ${pair.matched}/${pair.compared} endpoints identical (${reasons})`);
+    }
+    return lines;
+}
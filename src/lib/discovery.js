@@ -0,0 +1,133 @@
+// Optional discovery of RPC endpoints from the addresses nodes advertise in
+// gossip (getClusterNodes). Discovered endpoints are mirrored to the
+// namespace store with the time they were last advertised and expire once
+// no seed has advertised them for `ttl` seconds.
+
+export const DISCOVERY_KEY = 'discovered_endpoints';
+
+// Addresses a node may advertise that are not reachable from outside its host or LAN
+function isRoutable(host) {
+    if (host === '0.0.0.0' || host === 'localhost') return false;
+    const octets = host.split('.').map(Number);
+    if (octets.length !== 4 || octets.some(Number.isNaN)) return true; // hostname or IPv6
+    const [a, b] = octets;
+    return !(a === 127 || a === 10 || (a === 192 && b === 168) || (a === 172 && b >= 16 && b <= 31));
+}
+
+/**
+ * Turn advertised "ip:port" rpc addresses into unique http urls.
+ * @param {Array<string|null>} addresses
+ * @returns {string[]}
+ */
+export function rpcUrls(addresses) {
+    const urls = [];
+    for (const address of addresses) {
+        if (!address) continue;
+        let url;
+        try {
+            url = new URL(`http://${address}`);
+        } catch {
+            continue;
+        }
+        if (!isRoutable(url.hostname)) continue;
+        const normalized = url.toString().replace(/\/+$/, '');
+        if (!urls.includes(normalized)) urls.push(normalized);
+    }
+    return urls;
+}
+
+export class EndpointDiscovery {
+    /**
+     * @param {Object} [store] anything with storeGet/storeSet, e.g. namespaceWrapper
+     * @param {Object} options
+     * @param {number} options.ttl           seconds an endpoint survives without being advertised
+     * @param {number} options.maxEndpoints  discovered endpoints kept per network
+     */
+    constructor(store, { ttl, maxEndpoints }) {
+        this.store = store;
+        this.ttl = ttl;
+        this.maxEndpoints = maxEndpoints;
+        // url -> { url, network, source, firstSeen, lastSeen }
+        this.entries = {};
+        this.loaded = false;
+    }
+
+    async load() {
+        if (this.loaded) return;
+        this.loaded = true;
+        if (!this.store) return;
+
+        try {
+            const raw = await this.store.storeGet(DISCOVERY_KEY);
+            this.entries = raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            console.error('Error loading discovered endpoints, starting fresh:', error.message);
+        }
+    }
+
+    /**
+     * Ask the seeds of every network for the rpc addresses they know about.
+     * The first seed of a network that answers is used. A network whose seeds
+     * all fail keeps its discovered endpoints as they are, since nothing
+     * says they stopped being advertised.
+     * @param {import('./chains/adapter.js').Endpoint[]} seeds  the configured endpoints
+     * @param {(url: string) => Promise<string[]>} discover
+     * @param {number} [now]
+     */
+    async refresh(seeds, discover, now = Date.now()) {
+        const configured = new Set(seeds.map(seed => seed.url));
+        const networks = [...new Set(seeds.map(seed => seed.network))];
+
+        for (const network of networks) {
+            let advertised = null;
+            for (const seed of seeds.filter(s => s.network === network)) {
+                try {
+                    advertised = rpcUrls(await discover(seed.url));
+                    break;
+                } catch (error) {
+                    console.error(`Endpoint discovery through ${seed.url} failed:`, error.message);
+                }
+            }
+            if (advertised === null) continue;
+
+            for (const url of advertised) {
+                if (configured.has(url)) continue;
+                if (this.entries[url]) {
+                    this.entries[url].lastSeen = now;
+                } else if (this.ofNetwork(network).length < this.maxEndpoints) {
+                    this.entries[url] = { url, network, source: 'discovered', firstSeen: now, lastSeen: now };
+                }
+            }
+
+            for (const entry of this.ofNetwork(network)) {
+                if (now - entry.lastSeen > this.ttl * 1000) {
+                    console.log(`Expiring discovered endpoint ${entry.url}, not advertised since ${new Date(entry.lastSeen).toISOString()}`);
+                    delete this.entries[entry.url];
+                }
+            }
+        }
+
+        if (this.store) {
+            await this.store.storeSet(DISCOVERY_KEY, JSON.stringify(this.entries));
+        }
+    }
+
+    ofNetwork(network) {
+        return Object.values(this.entries).filter(entry => entry.network === network);
+    }
+
+    /**
+     * Configured endpoints followed by the discovered ones, oldest first.
+     * @param {import('./chains/adapter.js').Endpoint[]} configured
+     * @returns {import('./chains/adapter.js').Endpoint[]}
+     */
+    endpoints(configured) {
+        const networks = new Set(configured.map(endpoint => endpoint.network));
+        const discovered = Object.values(this.entries)
+            .filter(entry => networks.has(entry.network))
+            .filter(entry => !configured.some(endpoint => endpoint.url === entry.url))
+            .sort((a, b) => a.firstSeen - b.firstSeen)
+            .map(({ url, network, source }) => ({ url, network, source }));
+        return [...configured, ...discovered];
+    }
+}
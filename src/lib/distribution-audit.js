@@ -0,0 +1,125 @@
+// Distribution list audit: rebuild the list another node should have
+// submitted from the on-chain submitters, audit votes and stakes, with the
+// same distribution function the task uses, and compare the two.
+
+/**
+ * @typedef {Object} DistributionDiff
+ * @property {string} publicKey
+ * @property {number|null} expected   null when the key should not be in the list
+ * @property {number|null} submitted  null when the key is missing from the list
+ */
+
+/**
+ * Submitters of a round as the distribution function gets them. A
+ * submission nobody raised an audit on counts as approved.
+ * @param {Object} submissionInfo  getTaskSubmissionInfo(round)
+ * @param {Object<string, number>} stakeList  stake per public key
+ * @param {number} round
+ * @returns {Array<{ publicKey: string, votes: number, stake: number }>}  sorted by public key
+ */
+export function roundSubmitters(submissionInfo, stakeList, round) {
+    const submissions = submissionInfo?.submissions?.[round] || {};
+    const audits = submissionInfo?.submissions_audit_trigger?.[round] || {};
+
+    return Object.keys(submissions).sort().map(publicKey => {
+        const votes = audits[publicKey]
+            ? audits[publicKey].votes.reduce((acc, vote) => acc + (vote.is_valid ? 1 : -1), 0)
+            : 1;
+        return { publicKey, votes, stake: stakeList?.[publicKey] || 0 };
+    });
+}
+
+/**
+ * Audit votes of the rounds before `round` that K2 still holds, oldest
+ * first, for the slashing policy to catch up on rounds it didn't count.
+ * @param {Object} submissionInfo  getTaskSubmissionInfo(round)
+ * @param {number} round
+ * @returns {import('./slashing.js').RoundVotes[]}
+ */
+export function voteHistory(submissionInfo, round) {
+    return Object.keys(submissionInfo?.submissions || {})
+        .map(Number)
+        .filter(past => past < round)
+        .sort((a, b) => a - b)
+        .map(past => ({
+            round: past,
+            submitters: roundSubmitters(submissionInfo, {}, past).map(({ publicKey, votes }) => ({ publicKey, votes }))
+        }));
+}
+
+/**
+ * Entries of the two lists that differ by more than `tolerance`, sorted by key.
+ * @param {Object<string, number>} expected
+ * @param {Object<string, number>} submitted
+ * @param {number} tolerance  largest difference still put down to rounding
+ * @returns {DistributionDiff[]}
+ */
+export function diffDistribution(expected, submitted, tolerance) {
+    const keys = [...new Set([...Object.keys(expected), ...Object.keys(submitted)])].sort();
+    return keys
+        .map(publicKey => ({
+            publicKey,
+            expected: publicKey in expected ? expected[publicKey] : null,
+            submitted: publicKey in submitted ? submitted[publicKey] : null
+        }))
+        .filter(({ expected: e, submitted: s }) =>
+            e === null || s === null || typeof s !== 'number' || !(Math.abs(e - s) <= tolerance)
+        );
+}
+
+export class DistributionAuditor {
+    /**
+     * @param {Object} options
+     * @param {Object} options.wrapper  namespaceWrapper
+     * @param {Function} options.distribute  (submitters, bounty, round) => list, the task's distribution
+     * @param {number} options.tolerance  config.distribution.auditTolerance
+     */
+    constructor({ wrapper, distribute, tolerance }) {
+        this.wrapper = wrapper;
+        this.distribute = distribute;
+        this.tolerance = tolerance;
+    }
+
+    /**
+     * Check the distribution list a node submitted for a round.
+     * @param {string} distributionSubmitter  public key of the node that submitted the list
+     * @param {number} round
+     * @returns {Promise<boolean>}  the vote
+     */
+    async audit(distributionSubmitter, round) {
+        const raw = await this.wrapper.getDistributionList(distributionSubmitter, round);
+        if (!raw) {
+            await this.wrapper.logger('warn', `No distribution list of ${distributionSubmitter} for round ${round}`);
+            return false;
+        }
+
+        let submitted;
+        try {
+            submitted = JSON.parse(raw.toString());
+        } catch (error) {
+            await this.wrapper.logger('warn', `Distribution list of ${distributionSubmitter} is not JSON: ${error.message}`);
+            return false;
+        }
+
+        const [submissionInfo, taskState] = await Promise.all([
+            this.wrapper.getTaskSubmissionInfo(round),
+            this.wrapper.getTaskState({ is_stake_list_required: true })
+        ]);
+        const submitters = roundSubmitters(submissionInfo, taskState?.stake_list, round);
+        const expected = await this.distribute(submitters, taskState?.bounty_amount_per_round || 0, round);
+
+        const diffs = diffDistribution(expected, submitted, this.tolerance);
+        if (diffs.length === 0) {
+            await this.wrapper.logger('log', `Distribution list of ${distributionSubmitter} for round ${round} matches`);
+            return true;
+        }
+
+        await this.wrapper.logger('warn',
+            `Distribution list of ${distributionSubmitter} for round ${round} differs in ${diffs.length} key(s)`);
+        for (const diff of diffs) {
+            await this.wrapper.logger('warn',
+                `  ${diff.publicKey}: expected ${diff.expected ?? 'no entry'}, submitted ${diff.submitted ?? 'no entry'}`);
+        }
+        return false;
+    }
+}
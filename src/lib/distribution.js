@@ -0,0 +1,116 @@
+import { median } from './cluster-tip.js';
+import { loadRoundSubmissions } from './consensus.js';
+import { applyCopycatPenalty, detectCopycats } from './copycat.js';
+
+// Reward split of a round's bounty among the approved submitters. Every
+// node computes the same list from the same inputs, so weights are kept as
+// integers and the division is exact.
+
+// How the bounty is weighted (config.DISTRIBUTION_MODES):
+//   equal          same share for every approved submitter
+//   quality        by the audit quality score of the submission
+//   quality-stake  by quality score times stake, stake capped at `stakeCap`
+// Approved submitters without a score (their payload couldn't be loaded
+// here) were still approved by the audit, so they get a neutral score
+// rather than nothing.
+
+// Stake is counted in its smallest unit on-chain
+const ROE_PER_KOII = 1e9;
+
+/**
+ * Integer weight of one submitter under the given mode.
+ * @param {{ publicKey: string, stake: number }} submitter
+ * @param {Object} options
+ * @param {string} options.mode
+ * @param {number} options.stakeCap   KOII
+ * @param {Object<string, number>} options.qualities  0-100 per public key
+ * @param {number} [options.neutral]  score of a submitter missing from `qualities`, see neutralQuality()
+ * @returns {bigint}
+ */
+export function rewardWeight(submitter, { mode, stakeCap, qualities, neutral = 100 }) {
+    if (mode === 'equal') return 1n;
+
+    // Hundredths of a point, so fractional scores still weigh exactly
+    const quality = BigInt(Math.round((qualities[submitter.publicKey] ?? neutral) * 100));
+    if (mode === 'quality') return quality;
+
+    const stake = Math.min(submitter.stake, stakeCap * ROE_PER_KOII);
+    return quality * BigInt(Math.max(0, Math.floor(stake)));
+}
+
+/**
+ * Score for approved submitters without one: the median of the scores the
+ * others got, or a full score when nobody has one.
+ * @param {Array<{ publicKey: string }>} approved
+ * @param {Object<string, number>} qualities
+ * @returns {number}
+ */
+export function neutralQuality(approved, qualities) {
+    const known = approved
+        .map(submitter => qualities[submitter.publicKey])
+        .filter(quality => quality !== undefined);
+    return known.length > 0 ? median(known) : 100;
+}
+
+/**
+ * Split the bounty by weight. Every submitter gets the floor of its share;
+ * what rounding leaves over goes one unit at a time to the largest
+ * remainders, ties broken by public key, so the rewards never add up to
+ * more than the bounty.
+ * @param {Array<{ publicKey: string, stake: number }>} approved
+ * @param {number} bounty
+ * @param {Object} options  see rewardWeight(); equal split when every weight is zero
+ * @returns {Object<string, number>}
+ */
+export function distributeRewards(approved, bounty, options) {
+    if (approved.length === 0) return {};
+
+    const neutral = neutralQuality(approved, options.qualities || {});
+    let weights = approved.map(submitter => rewardWeight(submitter, { neutral, ...options }));
+    let total = weights.reduce((acc, weight) => acc + weight, 0n);
+    if (total === 0n) {
+        console.log(`No ${options.mode} weight among the approved submitters, splitting equally`);
+        weights = approved.map(() => 1n);
+        total = BigInt(approved.length);
+    }
+
+    const amount = BigInt(Math.floor(bounty));
+    const shares = approved.map((submitter, index) => ({
+        publicKey: submitter.publicKey,
+        reward: (amount * weights[index]) / total,
+        remainder: (amount * weights[index]) % total
+    }));
+
+    let leftover = amount - shares.reduce((acc, share) => acc + share.reward, 0n);
+    const byRemainder = shares.slice().sort((a, b) =>
+        (a.remainder === b.remainder ? 0 : a.remainder > b.remainder ? -1 : 1) ||
+        a.publicKey.localeCompare(b.publicKey)
+    );
+    for (const share of byRemainder) {
+        if (leftover === 0n) break;
+        if (share.remainder === 0n) continue;
+        share.reward += 1n;
+        leftover -= 1n;
+    }
+
+    return Object.fromEntries(shares.map(share => [share.publicKey, Number(share.reward)]));
+}
+
+/**
+ * Quality score of every submission of a round, from the consensus audit
+ * of all of them, with the copycat penalty. Re-probes are left out, they
+ * differ between nodes. Submissions that can't be fetched or verified get
+ * no score, and are weighed as neutral.
+ * @param {Object} wrapper  namespaceWrapper
+ * @param {import('./content-store.js').ContentStore} store
+ * @param {import('./audit-engine.js').AuditEngine} engine
+ * @param {number} round
+ * @param {Object} copycat  config.copycat
+ * @returns {Promise<Object<string, number>>}  0-100 per public key
+ */
+export async function roundQualities(wrapper, store, engine, round, copycat) {
+    const payloads = await loadRoundSubmissions(wrapper, store, round);
+    const verdicts = engine.judge(payloads);
+    applyCopycatPenalty(verdicts, detectCopycats(payloads, copycat), copycat.penalty);
+    return Object.fromEntries(verdicts.map(verdict => [verdict.submitter, verdict.score]));
+}
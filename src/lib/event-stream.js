@@ -0,0 +1,128 @@
+// Live feed of the monitoring rounds for Server-Sent Events: one `status`
+// event per endpoint and round, and an `issue` event whenever an issue is
+// raised or resolved. Recent events are buffered so a client reconnecting
+// with Last-Event-ID gets what it missed.
+
+export const DEFAULT_BUFFER_SIZE = 1000;
+
+/**
+ * @typedef {Object} StreamEvent
+ * @property {number} id
+ * @property {'status'|'issue'} type
+ * @property {Object} data  always carries endpoint and network
+ */
+
+/**
+ * Endpoint and network filter from a query string; each takes a comma
+ * separated list or repeats, e.g. ?network=mainnet&endpoint=https://a,https://b
+ * @param {Object} query
+ * @returns {{ endpoints: string[]|null, networks: string[]|null }}  null matches everything
+ */
+export function parseFilter(query) {
+    const list = raw => {
+        if (raw === undefined || raw === '') return null;
+        return (Array.isArray(raw) ? raw : [raw]).flatMap(value => String(value).split(',')).map(v => v.trim()).filter(Boolean);
+    };
+    return { endpoints: list(query.endpoint), networks: list(query.network) };
+}
+
+function matches(filter, event) {
+    return (!filter.endpoints || filter.endpoints.includes(event.data.endpoint)) &&
+        (!filter.networks || filter.networks.includes(event.data.network));
+}
+
+/**
+ * Stable key of an issue message. Messages carry live values ("Low TPS: 0.52",
+ * "Blocks not advancing for 42s"), so the type is the text before the value:
+ * up to the first colon, or the message without its numbers.
+ * @param {string} issue
+ * @returns {string}  e.g. low-tps, blocks-not-advancing-for
+ */
+export function issueCode(issue) {
+    const colon = issue.indexOf(':');
+    const type = colon === -1 ? issue.replace(/\S*\d\S*/g, '') : issue.slice(0, colon);
+    return type.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// Wire format of one event
+export function formatEvent(event) {
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+export class EventStream {
+    constructor({ bufferSize = DEFAULT_BUFFER_SIZE } = {}) {
+        this.bufferSize = bufferSize;
+        this.buffer = [];
+        this.subscribers = new Set();
+        // Ids start at the clock, so ids after a restart are still newer
+        // than any Last-Event-ID a client kept from before it
+        this.nextId = Date.now();
+        // endpoint -> Map of issue code -> message, of its last round
+        this.issues = new Map();
+    }
+
+    publish(type, data) {
+        const event = { id: this.nextId++, type, data };
+        this.buffer.push(event);
+        if (this.buffer.length > this.bufferSize) this.buffer.shift();
+        for (const subscriber of this.subscribers) {
+            if (matches(subscriber.filter, event)) subscriber.send(event);
+        }
+        return event;
+    }
+
+    /**
+     * Replay the buffered events after `lastEventId`, then follow new ones.
+     * @param {{ endpoints: string[]|null, networks: string[]|null }} filter
+     * @param {string|number|undefined} lastEventId  Last-Event-ID header, if any
+     * @param {(event: StreamEvent) => void} send
+     * @returns {() => void}  unsubscribe
+     */
+    subscribe(filter, lastEventId, send) {
+        const after = Number(lastEventId);
+        if (lastEventId !== undefined && lastEventId !== '' && Number.isFinite(after)) {
+            for (const event of this.buffer) {
+                if (event.id > after && matches(filter, event)) send(event);
+            }
+        }
+        const subscriber = { filter, send };
+        this.subscribers.add(subscriber);
+        return () => this.subscribers.delete(subscriber);
+    }
+
+    /**
+     * Publish the events of one round.
+     * @param {import('./monitor.js').RoundSummary} summary
+     */
+    recordRound(summary) {
+        for (const node of summary.nodes) {
+            const { endpoint, network } = node;
+            this.publish('status', {
+                endpoint,
+                network,
+                round: summary.round,
+                timestamp: node.timestamp,
+                score: node.score,
+                metrics: node.metrics,
+                issues: node.issues
+            });
+
+            // An ongoing issue whose value changes is still the same issue,
+            // the message with the current value goes along as detail
+            const previous = this.issues.get(endpoint) || new Map();
+            const current = new Map(node.issues.map(issue => [issueCode(issue), issue]));
+            for (const [code, issue] of current) {
+                if (previous.has(code)) continue;
+                this.publish('issue', { endpoint, network, round: summary.round, state: 'raised', code, issue });
+            }
+            for (const [code, issue] of previous) {
+                if (current.has(code)) continue;
+                this.publish('issue', { endpoint, network, round: summary.round, state: 'resolved', code, issue });
+            }
+            this.issues.set(endpoint, current);
+        }
+    }
+}
+
+// Shared by the task, which publishes, and the routes, which stream
+export const monitorEvents = new EventStream();
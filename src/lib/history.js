@@ -0,0 +1,89 @@
+// Rolling per-endpoint history of status records. Kept in memory and
+// mirrored to the namespace store so it survives task restarts.
+
+export const HISTORY_KEY = 'endpoint_history';
+
+// Fields of a StatusRecord worth keeping between rounds
+function toObservation(record) {
+    return {
+        timestamp: record.timestamp,
+        isResponding: record.isResponding,
+        health: record.health,
+        blockHeight: record.blockHeight,
+        responseTime: record.responseTime,
+        tps: record.tps
+    };
+}
+
+export class EndpointHistory {
+    /**
+     * @param {Object} [store] anything with storeGet/storeSet, e.g. namespaceWrapper
+     * @param {number} [limit] observations kept per endpoint
+     */
+    constructor(store, limit = 60) {
+        this.store = store;
+        this.limit = limit;
+        this.series = {};
+        this.loaded = false;
+    }
+
+    async load() {
+        if (this.loaded) return;
+        this.loaded = true;
+        if (!this.store) return;
+
+        try {
+            const raw = await this.store.storeGet(HISTORY_KEY);
+            const stored = raw ? JSON.parse(raw) : {};
+            for (const [endpoint, observations] of Object.entries(stored)) {
+                if (Array.isArray(observations)) {
+                    this.series[endpoint] = observations.slice(-this.limit);
+                }
+            }
+        } catch (error) {
+            console.error('Error loading endpoint history, starting fresh:', error.message);
+        }
+    }
+
+    // Observations for an endpoint, oldest first
+    get(endpoint) {
+        return this.series[endpoint] || [];
+    }
+
+    // Most recent observation before the current round, if any
+    previous(endpoint) {
+        const series = this.get(endpoint);
+        return series[series.length - 1] || null;
+    }
+
+    // Most recent observation where the endpoint was responding
+    lastResponding(endpoint) {
+        const series = this.get(endpoint);
+        for (let i = series.length - 1; i >= 0; i--) {
+            if (series[i].isResponding) return series[i];
+        }
+        return null;
+    }
+
+    // Timestamp at which the endpoint first reported its current block height
+    stalledSince(endpoint, blockHeight) {
+        let since = null;
+        const series = this.get(endpoint);
+        for (let i = series.length - 1; i >= 0; i--) {
+            if (!series[i].isResponding) continue;
+            if (series[i].blockHeight !== blockHeight) break;
+            since = series[i].timestamp;
+        }
+        return since;
+    }
+
+    async record(records) {
+        for (const record of records) {
+            const series = [...this.get(record.endpoint), toObservation(record)];
+            this.series[record.endpoint] = series.slice(-this.limit);
+        }
+        if (this.store) {
+            await this.store.storeSet(HISTORY_KEY, JSON.stringify(this.series));
+        }
+    }
+}
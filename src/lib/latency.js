@@ -0,0 +1,78 @@
+// Latency sampling and the statistics derived from the samples
+
+// Nearest-rank percentile of an unsorted list
+export function percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = values.slice().sort((a, b) => a - b);
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+// Mean absolute difference between consecutive samples (RFC 3550 style)
+export function jitter(values) {
+    if (values.length < 2) return 0;
+    let total = 0;
+    for (let i = 1; i < values.length; i++) {
+        total += Math.abs(values[i] - values[i - 1]);
+    }
+    return total / (values.length - 1);
+}
+
+/**
+ * @typedef {Object} LatencyStats
+ * @property {number} samples   successful samples
+ * @property {number} failed    samples that errored
+ * @property {number|null} min
+ * @property {number|null} p50
+ * @property {number|null} p95
+ * @property {number|null} p99
+ * @property {number|null} max
+ * @property {number} jitter
+ */
+
+/**
+ * @param {number[]} samples  latencies in ms, in the order they were taken
+ * @param {number} [failed]
+ * @returns {LatencyStats}
+ */
+export function summarizeLatency(samples, failed = 0) {
+    return {
+        samples: samples.length,
+        failed,
+        min: samples.length ? Math.min(...samples) : null,
+        p50: percentile(samples, 50),
+        p95: percentile(samples, 95),
+        p99: percentile(samples, 99),
+        max: samples.length ? Math.max(...samples) : null,
+        jitter: Math.round(jitter(samples))
+    };
+}
+
+/**
+ * Time `count` sequential calls of `ping`, `interval` ms apart.
+ * Sampling stops early when the next sample would start after `deadlineAt`
+ * (ms since epoch).
+ * @param {() => Promise<unknown>} ping
+ * @returns {Promise<LatencyStats>}
+ */
+export async function sampleLatency(ping, { samples: count = 5, interval = 200, deadlineAt = Infinity } = {}) {
+    const samples = [];
+    let failed = 0;
+
+    for (let i = 0; i < count; i++) {
+        if (i > 0) {
+            // Stop once the next sample could not start before the deadline
+            if (Date.now() + interval >= deadlineAt) break;
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+        const startTime = Date.now();
+        try {
+            await ping();
+            samples.push(Date.now() - startTime);
+        } catch {
+            failed++;
+        }
+    }
+
+    return summarizeLatency(samples, failed);
+}
@@ -0,0 +1,88 @@
+import { Counter, Gauge, Histogram, Registry } from './prometheus.js';
+
+// Prometheus metrics of the monitoring rounds. The task records every
+// round summary, the /metrics route renders the registry.
+
+const NODE_LABELS = ['endpoint', 'network'];
+
+// Probe latency buckets, seconds
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const HEALTH_STATES = ['healthy', 'degraded', 'unhealthy', 'offline'];
+
+// LatencyStats field -> quantile label
+const LATENCY_QUANTILES = { p50: '0.5', p95: '0.95', p99: '0.99' };
+
+export class MonitorMetrics {
+    constructor(prefix = 'pond') {
+        this.registry = new Registry();
+        const gauge = (name, help, labels = NODE_LABELS) =>
+            this.registry.register(new Gauge(`${prefix}_${name}`, help, labels));
+
+        this.gauges = {
+            up: gauge('node_up', '1 if the endpoint responded in the last round'),
+            score: gauge('node_score', 'Weighted node score of the last round, 0-100'),
+            health: gauge('node_health', '1 for the health state of the endpoint in the last round', [...NODE_LABELS, 'state']),
+            slot: gauge('node_slot', 'Slot (K2) or block number (EVM) of the endpoint'),
+            slotLag: gauge('node_slot_lag', 'Slots behind the tip of the network'),
+            tps: gauge('node_tps', 'Transactions per second seen by the endpoint'),
+            peers: gauge('node_peers', 'Peers known to the endpoint'),
+            latency: gauge('node_latency_seconds', 'Latency percentiles of the endpoint', [...NODE_LABELS, 'quantile']),
+            lastRound: gauge('last_round', 'Round of the last recorded summary', []),
+            networkScore: gauge('network_score', 'Average node score of the last round, 0-100', [])
+        };
+        this.probeFailures = this.registry.register(new Counter(
+            `${prefix}_probe_failures_total`, 'Failed RPC calls while probing an endpoint', [...NODE_LABELS, 'method']
+        ));
+        this.probeLatency = this.registry.register(new Histogram(
+            `${prefix}_probe_latency_seconds`, 'Latency of the RPC calls that probe an endpoint', [...NODE_LABELS, 'method'],
+            LATENCY_BUCKETS
+        ));
+    }
+
+    /**
+     * Update the metrics from one round.
+     * @param {import('./monitor.js').RoundSummary} summary
+     */
+    record(summary) {
+        // Gauges only describe the last round, endpoints can come and go
+        for (const gauge of Object.values(this.gauges)) gauge.reset();
+        this.gauges.lastRound.set({}, summary.round);
+        this.gauges.networkScore.set({}, summary.networkScore);
+
+        for (const node of summary.nodes) {
+            const labels = { endpoint: node.endpoint, network: node.network };
+            const { metrics } = node;
+            this.gauges.up.set(labels, metrics.isResponding ? 1 : 0);
+            this.gauges.score.set(labels, node.score);
+            for (const state of HEALTH_STATES) {
+                this.gauges.health.set({ ...labels, state }, metrics.health === state ? 1 : 0);
+            }
+            if (metrics.isResponding) {
+                this.gauges.slot.set(labels, metrics.blockHeight);
+                this.gauges.tps.set(labels, metrics.tps);
+                this.gauges.peers.set(labels, metrics.peerCount);
+                if (metrics.slotLag !== null) this.gauges.slotLag.set(labels, metrics.slotLag);
+            }
+            for (const [percentile, quantile] of Object.entries(LATENCY_QUANTILES)) {
+                if (metrics.latency?.[percentile] != null) {
+                    this.gauges.latency.set({ ...labels, quantile }, metrics.latency[percentile] / 1000);
+                }
+            }
+
+            for (const [method, result] of Object.entries(node.methods || {})) {
+                // Calls skipped because another one failed were never made
+                if (result.error?.startsWith('skipped')) continue;
+                this.probeLatency.observe({ ...labels, method }, result.latency / 1000);
+                if (!result.ok) this.probeFailures.inc({ ...labels, method });
+            }
+        }
+    }
+
+    render() {
+        return this.registry.render();
+    }
+}
+
+// Shared by the task, which records, and the routes, which render
+export const monitorMetrics = new MonitorMetrics();
@@ -0,0 +1,169 @@
+import { getConfig } from './config.js';
+import { createChainAdapter } from './chains/index.js';
+import { NodeMetrics } from './node-metrics.js';
+import { EndpointHistory } from './history.js';
+import { UptimeLog } from './uptime.js';
+import { EndpointDiscovery } from './discovery.js';
+import { ProbeBudget } from './request-policy.js';
+import { SCHEMA_VERSION } from './schema.js';
+import { annotateSlotLag, tipsByNetwork } from './cluster-tip.js';
+
+/**
+ * @typedef {import('./chains/adapter.js').StatusRecord} StatusRecord
+ */
+
+/**
+ * @typedef {Object} NodeSummary
+ * @property {string} endpoint
+ * @property {string} network
+ * @property {string} source  'configured' or 'discovered'
+ * @property {number} timestamp  ms since epoch when the endpoint was probed
+ * @property {number} score
+ * @property {string[]} issues
+ * @property {Object} metrics
+ * @property {number} metrics.blockHeight
+ * @property {number|null} metrics.slotLag
+ * @property {number|null} metrics.secondsBehind
+ * @property {number} metrics.tps
+ * @property {string} metrics.health
+ * @property {number} metrics.responseTime  p95 latency in ms
+ * @property {import('./latency.js').LatencyStats|null} metrics.latency
+ * @property {number} metrics.peerCount
+ * @property {string} metrics.version
+ * @property {boolean} metrics.isResponding
+ * @property {Object<string, import('./rpc-timing.js').MethodResult>} methods
+ * @property {string[]} failedMethods
+ * @property {Object} budget  probe time budget summary
+ * @property {import('./ws-probe.js').WebSocketStatus|null} websocket
+ * @property {Object<string, any>} details
+ */
+
+/**
+ * @typedef {Object} RoundSummary
+ * @property {number} schemaVersion  see schema.js
+ * @property {string} chain
+ * @property {number} timestamp
+ * @property {number} round
+ * @property {number} networkScore
+ * @property {Object} networkStats
+ * @property {number} networkStats.activeNodes
+ * @property {number} networkStats.totalNodes
+ * @property {number} networkStats.discoveredNodes
+ * @property {number} networkStats.highestBlock
+ * @property {Object<string, number>} networkStats.tips  consensus tip per network
+ * @property {number} networkStats.totalTps
+ * @property {NodeSummary[]} nodes
+ */
+
+// Runs one monitoring round for whichever chain the deployment is configured for
+export class Monitor {
+    /**
+     * @param {Object} [options]
+     * @param {ReturnType<typeof import('./config.js').loadConfig>} [options.config]
+     * @param {import('./chains/adapter.js').ChainAdapter} [options.adapter]
+     * @param {{ storeGet: (key: string) => Promise<any>, storeSet: (key: string, value: string) => Promise<any> }} [options.store]
+     *        backend for the endpoint history, e.g. namespaceWrapper
+     */
+    constructor({ config = getConfig(), adapter = createChainAdapter(config.chain), store } = {}) {
+        this.config = config;
+        this.adapter = adapter;
+        this.history = new EndpointHistory(store, config.historyLength);
+        // Uptime needs the store, a month of rounds doesn't fit in one process' life
+        this.uptime = store ? new UptimeLog(store, config.uptime) : null;
+        this.discovery = config.discovery?.enabled ? new EndpointDiscovery(store, config.discovery) : null;
+        this.nodeMetrics = new NodeMetrics({
+            adapter,
+            scoring: config.scoring,
+            alertThresholds: config.alertThresholds,
+            history: this.history,
+            latency: config.latency,
+            probePolicy: config.probe,
+            websocket: config.websocket
+        });
+    }
+
+    // Configured endpoints, plus the ones currently advertised by the
+    // cluster when discovery is enabled
+    async endpoints() {
+        if (!this.discovery) return this.config.endpoints;
+
+        await this.discovery.load();
+        await this.discovery.refresh(
+            this.config.endpoints,
+            url => this.adapter.discoverEndpoints(url, new ProbeBudget(this.config.probe))
+        );
+        return this.discovery.endpoints(this.config.endpoints);
+    }
+
+    /**
+     * @param {number} round
+     * @returns {Promise<RoundSummary>}
+     */
+    async run(round) {
+        await this.history.load();
+        const endpoints = await this.endpoints();
+
+        // Check all nodes in parallel
+        const probed = await Promise.all(
+            endpoints.map(endpoint => this.nodeMetrics.checkNodeStatus(endpoint))
+        );
+
+        // Measure every endpoint against the tip of its own network
+        const results = annotateSlotLag(probed, this.adapter.slotTime, this.config.scoring.tip);
+
+        // Validate and score each node's metrics
+        const validatedResults = results.map(metrics => this.nodeMetrics.validateMetrics(metrics));
+
+        // Remember each endpoint's result for the next round
+        await this.history.record(results);
+        if (this.uptime) await this.uptime.record(results);
+
+        return this.summarize(round, validatedResults);
+    }
+
+    summarize(round, validatedResults) {
+        const active = validatedResults.filter(node => node.isResponding);
+
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            chain: this.adapter.name,
+            timestamp: Date.now(),
+            round,
+            // Network health score (0-100)
+            networkScore: validatedResults.reduce((acc, node) => acc + node.score, 0) / (validatedResults.length || 1),
+            networkStats: {
+                activeNodes: active.length,
+                totalNodes: validatedResults.length,
+                discoveredNodes: validatedResults.filter(node => node.source === 'discovered').length,
+                highestBlock: Math.max(0, ...validatedResults.map(node => node.blockHeight)),
+                tips: tipsByNetwork(validatedResults, this.config.scoring.tip),
+                totalTps: active.reduce((acc, node) => acc + node.tps, 0)
+            },
+            nodes: validatedResults.map(node => ({
+                endpoint: node.endpoint,
+                network: node.network,
+                source: node.source,
+                timestamp: node.timestamp,
+                score: node.score,
+                issues: node.report.issues,
+                metrics: {
+                    blockHeight: node.blockHeight,
+                    slotLag: node.slotLag,
+                    secondsBehind: node.secondsBehind,
+                    tps: node.tps,
+                    health: node.health,
+                    responseTime: node.responseTime,
+                    latency: node.latency,
+                    peerCount: node.peerCount,
+                    version: node.version,
+                    isResponding: node.isResponding
+                },
+                methods: node.methods,
+                failedMethods: node.failedMethods,
+                budget: node.budget,
+                websocket: node.websocket,
+                details: node.details
+            }))
+        };
+    }
+}
@@ -0,0 +1,210 @@
+import { EndpointHistory } from './history.js';
+import { sampleLatency } from './latency.js';
+import { ProbeBudget, DEFAULT_PROBE_POLICY } from './request-policy.js';
+
+export class NodeMetrics {
+    constructor({
+        adapter,
+        scoring,
+        alertThresholds,
+        history = new EndpointHistory(),
+        latency = {},
+        probePolicy = DEFAULT_PROBE_POLICY,
+        websocket = { enabled: false }
+    }) {
+        this.adapter = adapter;
+        this.scoring = scoring;
+        this.alertThresholds = alertThresholds;
+        this.history = history;
+        this.latency = latency;
+        this.probePolicy = probePolicy;
+        this.websocket = websocket;
+    }
+
+    // Probe one endpoint through the chain adapter, then sample its latency
+    // with lightweight calls so one slow heavy request doesn't decide the score
+    // Everything done for the endpoint shares one time budget.
+    async checkNodeStatus(endpoint) {
+        const budget = new ProbeBudget(this.probePolicy);
+        const record = await this.adapter.check(endpoint, budget);
+        if (!record.isResponding) {
+            return { ...record, latency: null, websocket: null };
+        }
+
+        // Samples get a deadline but no retries, a retried sample is not a latency.
+        // The WebSocket probe mostly waits for notifications, so it runs alongside.
+        const [latency, websocket] = await Promise.all([
+            sampleLatency(
+                () => budget.once('ping', signal => this.adapter.ping(endpoint.url, signal)),
+                { ...this.latency, deadlineAt: budget.deadlineAt }
+            ),
+            this.websocket.enabled
+                ? this.adapter.probeWebSocket(endpoint, budget, {
+                    duration: this.websocket.duration,
+                    maxLag: this.alertThresholds.maxWsLag
+                })
+                : null
+        ]);
+        return {
+            ...record,
+            // Fall back to the probe's wall clock if every sample failed
+            responseTime: latency.p95 ?? record.responseTime,
+            latency,
+            websocket,
+            budget: budget.summary()
+        };
+    }
+
+    // `previous` is the endpoint's own last responding observation
+    calculateMetricScore(metric, value, previous = null) {
+        switch (metric) {
+            case 'responseTime':
+                if (value < 0) return 0; // offline
+                if (value < this.scoring.thresholds.responseTime.excellent) return 100;
+                if (value < this.scoring.thresholds.responseTime.good) return 80;
+                if (value < this.scoring.thresholds.responseTime.fair) return 60;
+                if (value < this.scoring.thresholds.responseTime.poor) return 40;
+                return 20;
+
+            case 'tps':
+                if (value > this.scoring.thresholds.tps.excellent) return 100;
+                if (value > this.scoring.thresholds.tps.good) return 80;
+                if (value > this.scoring.thresholds.tps.fair) return 60;
+                if (value > this.scoring.thresholds.tps.poor) return 40;
+                return 20;
+
+            case 'health':
+                if (value === 'healthy') return 100;
+                if (value === 'degraded') return 50; // some RPC methods failed
+                return 0;
+
+            case 'slotLag':
+                // Seconds behind the cluster tip, null when the node is offline
+                if (value === null || value === undefined) return 0;
+                if (value <= this.scoring.thresholds.slotLag.excellent) return 100;
+                if (value <= this.scoring.thresholds.slotLag.good) return 80;
+                if (value <= this.scoring.thresholds.slotLag.fair) return 60;
+                if (value <= this.scoring.thresholds.slotLag.poor) return 40;
+                return 20;
+
+            case 'blockHeight':
+                // Score based on how recent the block is compared to last check
+                if (!previous || !previous.blockHeight) return 80;
+                const blockDiff = value - previous.blockHeight;
+                if (blockDiff <= 0) return 40; // Stalled or went backwards
+                if (blockDiff > 0 && blockDiff < 5) return 60; // Slow progress
+                if (blockDiff >= 5 && blockDiff < 10) return 80; // Good progress
+                return 100; // Excellent progress
+
+            case 'peers':
+                if (value >= this.scoring.thresholds.minPeers * 2) return 100;
+                if (value >= this.scoring.thresholds.minPeers) return 80;
+                if (value >= this.scoring.thresholds.minPeers / 2) return 50;
+                return 20;
+
+            default:
+                return 0;
+        }
+    }
+
+    validateMetrics(metrics) {
+        const previous = this.history.lastResponding(metrics.endpoint);
+        const scores = {
+            responseTime: this.calculateMetricScore('responseTime', metrics.responseTime),
+            blockHeight: this.calculateMetricScore('blockHeight', metrics.blockHeight, previous),
+            slotLag: this.calculateMetricScore('slotLag', metrics.secondsBehind),
+            tps: this.calculateMetricScore('tps', metrics.tps),
+            health: this.calculateMetricScore('health', metrics.health),
+            peers: this.calculateMetricScore('peers', metrics.peerCount)
+        };
+
+        // Calculate weighted score
+        const weightedScore = Object.entries(scores).reduce((total, [metric, score]) => {
+            return total + (score * this.scoring.weights[metric]);
+        }, 0);
+
+        // Generate detailed report
+        const report = {
+            scores,
+            weightedScore,
+            details: {
+                responseTime: metrics.latency
+                    ? `p95 ${metrics.latency.p95}ms, p50 ${metrics.latency.p50}ms, jitter ${metrics.latency.jitter}ms (${scores.responseTime}%)`
+                    : `${metrics.responseTime}ms (${scores.responseTime}%)`,
+                blockHeight: `${metrics.blockHeight} (${scores.blockHeight}%)`,
+                slotLag: `${metrics.slotLag ?? 'n/a'} slots / ${metrics.secondsBehind?.toFixed(1) ?? 'n/a'}s behind tip (${scores.slotLag}%)`,
+                tps: `${metrics.tps.toFixed(2)} TPS (${scores.tps}%)`,
+                health: `${metrics.health} (${scores.health}%)`,
+                peers: `${metrics.peerCount} peers (${scores.peers}%)`,
+                websocket: metrics.websocket
+                    ? `${metrics.websocket.status}, ${metrics.websocket.connectTime === null ? 'no connection' : `connect ${metrics.websocket.connectTime}ms`}, ${metrics.websocket.slotRate.toFixed(2)}/s slot notifications`
+                    : 'not probed'
+            },
+            issues: []
+        };
+
+        // Add specific issues based on scores
+        if (metrics.isResponding && scores.responseTime < 60) report.issues.push(`High response time: p95 ${metrics.responseTime}ms`);
+        if (scores.blockHeight < 60) report.issues.push('Block height not advancing normally');
+        if (metrics.secondsBehind !== null && metrics.secondsBehind !== undefined && scores.slotLag < 60) {
+            report.issues.push(`Behind cluster tip: ${metrics.slotLag} slots (${metrics.secondsBehind.toFixed(1)}s)`);
+        }
+        if (scores.tps < 60) report.issues.push(`Low TPS: ${metrics.tps.toFixed(2)}`);
+        if (metrics.failedMethods?.length > 0) {
+            const failures = metrics.failedMethods.map(method => `${method} (${metrics.methods[method].error})`);
+            report.issues.push(`Failing RPC methods: ${failures.join(', ')}`);
+        }
+        if (scores.health < 100) report.issues.push(`Node health issues detected: ${metrics.health}`);
+        if (scores.peers < 60) report.issues.push(`Low peer count: ${metrics.peerCount}`);
+        if (metrics.isResponding) {
+            report.issues.push(...this.detectWebSocketIssues(metrics));
+            report.issues.push(...this.detectHistoryIssues(metrics, previous));
+            report.issues.push(...this.adapter.checks(metrics, this.alertThresholds));
+        }
+
+        return {
+            ...metrics,
+            report,
+            score: Math.round(weightedScore)
+        };
+    }
+
+    // PubSub problems, worth most when HTTP alone would call the node fine
+    detectWebSocketIssues(metrics) {
+        const websocket = metrics.websocket;
+        if (!websocket) return [];
+
+        const context = metrics.health === 'healthy' ? ' while HTTP is healthy' : '';
+        if (websocket.status === 'down') {
+            return [`WebSocket down${context}: ${websocket.error}`];
+        }
+        if (websocket.status === 'lagging') {
+            return [
+                `WebSocket lagging${context}: ${websocket.slotLag ?? 'n/a'} slots ` +
+                `(${websocket.notificationDelay?.toFixed(1) ?? 'n/a'}s) behind HTTP, ` +
+                `${websocket.slotRate.toFixed(2)}/s slot notifications (expected ${websocket.expectedRate.toFixed(2)}/s)`
+            ];
+        }
+        return [];
+    }
+
+    // Issues that need the endpoint's earlier observations
+    detectHistoryIssues(metrics, previous) {
+        const issues = [];
+        if (!previous) return issues;
+
+        const stalledSince = this.history.stalledSince(metrics.endpoint, metrics.blockHeight);
+        if (stalledSince !== null) {
+            const stalledFor = (metrics.timestamp - stalledSince) / 1000;
+            if (stalledFor >= this.alertThresholds.blockStall) {
+                issues.push(`Blocks not advancing for ${Math.round(stalledFor)}s`);
+            }
+        }
+
+        if (previous.tps > 0 && metrics.tps < previous.tps * 0.5) {
+            issues.push(`TPS dropped by >50%: ${metrics.tps.toFixed(2)} TPS`);
+        }
+
+        return issues;
+    }
+}
@@ -0,0 +1,136 @@
+// Minimal Prometheus text exposition (format 0.0.4): gauges, counters and
+// histograms with labels, rendered by a registry for the /metrics route.
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+    /**
+     * @param {string} type  gauge, counter or histogram
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} labelNames
+     */
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // label values as JSON -> { labels, ...state }
+        this.series = new Map();
+    }
+
+    entry(labels, create) {
+        const missing = this.labelNames.filter(name => labels[name] === undefined);
+        if (missing.length > 0) {
+            throw new Error(`${this.name} needs the label(s) ${missing.join(', ')}`);
+        }
+        const ordered = Object.fromEntries(this.labelNames.map(name => [name, labels[name]]));
+        const key = JSON.stringify(Object.values(ordered));
+        if (!this.series.has(key)) this.series.set(key, { labels: ordered, ...create() });
+        return this.series.get(key);
+    }
+
+    // Drop every series, e.g. before setting the gauges of a new round
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+        return lines;
+    }
+}
+
+export class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.entry(labels, () => ({ value: 0 })).value = value;
+    }
+
+    renderSeries({ labels, value }) {
+        return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+    }
+}
+
+export class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels, amount = 1) {
+        if (amount < 0) throw new Error(`${this.name} can only increase`);
+        this.entry(labels, () => ({ value: 0 })).value += amount;
+    }
+
+    renderSeries({ labels, value }) {
+        return [`${this.name}${formatLabels(labels)} ${formatValue(value)}`];
+    }
+}
+
+export class Histogram extends Metric {
+    /**
+     * @param {number[]} buckets  upper bounds, ascending; +Inf is added
+     */
+    constructor(name, help, labelNames, buckets) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    observe(labels, value) {
+        const series = this.entry(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSeries({ labels, counts, sum, count }) {
+        return [
+            ...this.buckets.map((bound, index) =>
+                `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`),
+            `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+            `${this.name}_count${formatLabels(labels)} ${count}`
+        ];
+    }
+}
+
+export class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    // Body of the /metrics response
+    render() {
+        return this.metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+    }
+}
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
@@ -0,0 +1,163 @@
+// Read side of the monitoring results for the task routes: round summaries,
+// the monitored endpoints and an endpoint's history, all taken from the
+// round state store. Successful responses are `{ data, meta? }`, failures
+// `{ error: { code, message } }` with a matching HTTP status.
+
+export const DEFAULT_PAGE_LIMIT = 50;
+export const MAX_PAGE_LIMIT = 500;
+
+export class ApiError extends Error {
+    /**
+     * @param {number} status  HTTP status
+     * @param {string} code    stable, machine readable
+     * @param {string} message
+     */
+    constructor(status, code, message) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Envelope and status of a failed request
+export function errorResponse(error) {
+    if (error instanceof ApiError) {
+        return { status: error.status, body: { error: { code: error.code, message: error.message } } };
+    }
+    console.error('Error in route:', error);
+    return { status: 500, body: { error: { code: 'internal_error', message: 'Internal error' } } };
+}
+
+function parseInteger(name, raw, fallback, min) {
+    if (raw === undefined || raw === '') return fallback;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min) {
+        throw new ApiError(400, 'invalid_parameter', `${name} must be an integer of at least ${min}, got "${raw}"`);
+    }
+    return value;
+}
+
+// ms since epoch or anything Date understands, e.g. 2024-01-31T12:00:00Z
+function parseTime(name, raw, fallback) {
+    if (raw === undefined || raw === '') return fallback;
+    const value = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw);
+    if (!Number.isFinite(value)) {
+        throw new ApiError(400, 'invalid_parameter', `${name} must be a timestamp in ms or an ISO date, got "${raw}"`);
+    }
+    return value;
+}
+
+/**
+ * @param {Object} query  request query string
+ * @returns {{ offset: number, limit: number }}
+ */
+export function parsePagination(query) {
+    const offset = parseInteger('offset', query.offset, 0, 0);
+    const limit = parseInteger('limit', query.limit, DEFAULT_PAGE_LIMIT, 1);
+    if (limit > MAX_PAGE_LIMIT) {
+        throw new ApiError(400, 'invalid_parameter', `limit must be at most ${MAX_PAGE_LIMIT}, got "${query.limit}"`);
+    }
+    return { offset, limit };
+}
+
+// One page of the items with the paging metadata
+export function paginate(items, { offset, limit }) {
+    return { data: items.slice(offset, offset + limit), meta: { total: items.length, offset, limit } };
+}
+
+function parseRound(raw) {
+    return parseInteger('round', raw, undefined, 0);
+}
+
+export class ReadApi {
+    /**
+     * @param {import('./round-state.js').RoundStateStore} roundState
+     * @param {(round: number) => Promise<import('./consensus.js').ConsensusReport>} [consensusOf]
+     *        consensus view of a round's submissions, see consensus.js
+     */
+    constructor(roundState, consensusOf) {
+        this.roundState = roundState;
+        this.consensusOf = consensusOf;
+    }
+
+    // Stored rounds, newest first
+    async rounds(query) {
+        const rounds = (await this.roundState.list('status')).slice().reverse();
+        return paginate(rounds, parsePagination(query));
+    }
+
+    async round(rawRound) {
+        const round = parseRound(rawRound);
+        const summary = await this.roundState.get('status', round);
+        if (!summary) {
+            throw new ApiError(404, 'not_found', `No summary stored for round ${round}`);
+        }
+        return { data: summary };
+    }
+
+    async latest() {
+        const round = await this.roundState.latest('status');
+        if (round === null) {
+            throw new ApiError(404, 'not_found', 'No round summary stored yet');
+        }
+        return this.round(round);
+    }
+
+    // Every submission of the round merged per endpoint
+    async consensus(rawRound) {
+        const round = parseRound(rawRound);
+        const report = this.consensusOf ? await this.consensusOf(round) : null;
+        if (!report || report.observers.length === 0) {
+            throw new ApiError(404, 'not_found', `No verified submissions for round ${round}`);
+        }
+        return { data: report };
+    }
+
+    // Endpoints of the latest round with their current score and issues
+    async endpoints(query) {
+        const page = parsePagination(query);
+        const { data: summary } = await this.latest();
+        const endpoints = summary.nodes.map(node => ({
+            endpoint: node.endpoint,
+            network: node.network,
+            source: node.source,
+            round: summary.round,
+            timestamp: node.timestamp,
+            score: node.score,
+            health: node.metrics.health,
+            isResponding: node.metrics.isResponding,
+            issues: node.issues
+        }));
+        return paginate(endpoints, page);
+    }
+
+    /**
+     * One endpoint over the stored rounds, oldest first.
+     * @param {string} endpoint  RPC url
+     * @param {Object} query  from/to (ms or ISO date), offset, limit
+     */
+    async history(endpoint, query) {
+        const page = parsePagination(query);
+        const from = parseTime('from', query.from, 0);
+        const to = parseTime('to', query.to, Infinity);
+        if (from > to) {
+            throw new ApiError(400, 'invalid_parameter', 'from must not be after to');
+        }
+
+        const points = [];
+        let known = false;
+        for (const round of await this.roundState.list('status')) {
+            const summary = await this.roundState.get('status', round);
+            const node = summary?.nodes.find(n => n.endpoint === endpoint);
+            if (!node) continue;
+            known = true;
+            if (node.timestamp < from || node.timestamp > to) continue;
+            points.push({ round, timestamp: node.timestamp, score: node.score, issues: node.issues, metrics: node.metrics });
+        }
+        if (!known) {
+            throw new ApiError(404, 'not_found', `Endpoint ${endpoint} is not in any stored round`);
+        }
+        return paginate(points, page);
+    }
+}
@@ -0,0 +1,82 @@
+import { sha256 } from './content-store.js';
+
+// Independent check of a submission: the auditor probes a sample of the
+// endpoints it reports itself, so a majority sharing the same wrong view
+// can't pass the audit by agreeing with each other. The sample is derived
+// from a seed, so every auditor with the same seed probes the same
+// endpoints, but a submitter can't tell in advance which ones to get right.
+// Only endpoints the auditor monitors itself are probed: a submission names
+// its endpoints, and an auditor must not request whatever url it is given.
+
+/**
+ * Seed for one submission's sample. It covers every submission of the
+ * round, which no submitter knows before submitting.
+ * @param {number} round
+ * @param {Array<import('./monitor.js').RoundSummary & { submitter: string }>} submissions
+ * @param {string} submitter
+ * @returns {string}
+ */
+export function sampleSeed(round, submissions, submitter) {
+    const all = submissions.slice().sort((a, b) => a.submitter.localeCompare(b.submitter));
+    return sha256(`${round}:${submitter}:${JSON.stringify(all)}`);
+}
+
+/**
+ * Pick `size` endpoints of the reported nodes, ordered by the hash of the
+ * seed and the endpoint.
+ * @param {import('./monitor.js').NodeSummary[]} nodes
+ * @param {number} size
+ * @param {string} seed
+ * @returns {import('./monitor.js').NodeSummary[]}
+ */
+export function sampleNodes(nodes, size, seed) {
+    return nodes
+        .map(node => ({ node, rank: sha256(`${seed}:${node.endpoint}`) }))
+        .sort((a, b) => a.rank.localeCompare(b.rank))
+        .slice(0, size)
+        .map(({ node }) => node);
+}
+
+export class Reprober {
+    /**
+     * @param {Object} options
+     * @param {import('./node-metrics.js').NodeMetrics} options.nodeMetrics  probe used by the task itself
+     * @param {import('./audit-engine.js').AuditEngine} options.engine
+     * @param {number} options.sampleSize  endpoints re-probed per submission, 0 disables
+     */
+    constructor({ nodeMetrics, engine, sampleSize }) {
+        this.nodeMetrics = nodeMetrics;
+        this.engine = engine;
+        this.sampleSize = sampleSize;
+        // endpoint -> pending probe, one probe per endpoint and audit
+        this.probes = new Map();
+    }
+
+    probe(endpoint) {
+        if (!this.probes.has(endpoint.url)) {
+            this.probes.set(endpoint.url, this.nodeMetrics.checkNodeStatus(endpoint));
+        }
+        return this.probes.get(endpoint.url);
+    }
+
+    /**
+     * Re-probe the sampled endpoints of one submission. Reported endpoints
+     * the auditor doesn't monitor can't be verified and are never sampled.
+     * @param {import('./monitor.js').RoundSummary} submission
+     * @param {string} seed
+     * @param {import('./chains/adapter.js').Endpoint[]} known  the auditor's own endpoints, configured and discovered
+     * @returns {Promise<import('./audit-engine.js').NodeVerdict[]>}
+     */
+    async verify(submission, seed, known) {
+        const byUrl = new Map(known.map(endpoint => [endpoint.url, endpoint]));
+        const candidates = submission.nodes.filter(node => byUrl.has(node.endpoint));
+        const sample = sampleNodes(candidates, this.sampleSize, seed);
+        const probes = await Promise.all(sample.map(node => this.probe(byUrl.get(node.endpoint))));
+        return sample.map((node, index) => this.engine.judgeProbe(node, probes[index]));
+    }
+
+    // Probes are only shared within one audit
+    reset() {
+        this.probes.clear();
+    }
+}
@@ -0,0 +1,119 @@
+// Deadlines, retries and an overall time budget for probe requests, so one
+// hung endpoint can never hold the round past the submission window
+
+// Koii round slots are ~408ms, see round_time in config-task.yml
+export const TASK_SLOT_MS = 408;
+
+export const DEFAULT_PROBE_POLICY = {
+    timeout: 5000,      // ms per request attempt
+    retries: 2,         // extra attempts after the first one
+    backoffBase: 250,   // ms, doubled on every retry
+    backoffMax: 2000,   // ms
+    budget: 45000       // ms for everything one endpoint does in a round
+};
+
+export class TimeoutError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TimeoutError';
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with full jitter: uniform in [0, min(max, base * 2^attempt)]
+export function backoffDelay(attempt, { backoffBase, backoffMax }, random = Math.random) {
+    const cap = Math.min(backoffMax, backoffBase * 2 ** attempt);
+    return Math.round(random() * cap);
+}
+
+/**
+ * Run fn with an AbortSignal that fires after `ms`.
+ * Rejects with a TimeoutError even if fn ignores the signal.
+ * @template T
+ * @param {(signal: AbortSignal) => Promise<T>} fn
+ * @param {number} ms
+ * @param {string} label
+ * @returns {Promise<T>}
+ */
+export async function withDeadline(fn, ms, label) {
+    const controller = new AbortController();
+    let timer;
+    const deadline = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new TimeoutError(`${label} timed out after ${ms}ms`);
+            controller.abort(error);
+            reject(error);
+        }, ms);
+    });
+
+    try {
+        return await Promise.race([fn(controller.signal), deadline]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Time budget of one endpoint for one round. Every request made for the
+// endpoint goes through run(), which caps attempts by what is left.
+export class ProbeBudget {
+    constructor(policy = DEFAULT_PROBE_POLICY) {
+        this.policy = policy;
+        this.startedAt = Date.now();
+        this.deadlineAt = this.startedAt + policy.budget;
+        this.retries = 0;
+        this.timeouts = 0;
+    }
+
+    remaining() {
+        return Math.max(0, this.deadlineAt - Date.now());
+    }
+
+    exhausted() {
+        return this.remaining() === 0;
+    }
+
+    // Single attempt with the per-request deadline, no retry
+    async once(label, fn) {
+        const timeout = Math.min(this.policy.timeout, this.remaining());
+        if (timeout <= 0) {
+            throw new TimeoutError(`${label} skipped: probe budget of ${this.policy.budget}ms exhausted`);
+        }
+        try {
+            return await withDeadline(fn, timeout, label);
+        } catch (error) {
+            if (error instanceof TimeoutError) this.timeouts++;
+            throw error;
+        }
+    }
+
+    // Attempt, then retry with backoff while retries and budget are left
+    async run(label, fn) {
+        let lastError;
+        for (let attempt = 0; attempt <= this.policy.retries; attempt++) {
+            if (attempt > 0) {
+                const delay = backoffDelay(attempt - 1, this.policy);
+                if (delay >= this.remaining()) break;
+                this.retries++;
+                await sleep(delay);
+            }
+            try {
+                return await this.once(label, fn);
+            } catch (error) {
+                lastError = error;
+                if (this.exhausted()) break;
+            }
+        }
+        throw lastError;
+    }
+
+    summary() {
+        return {
+            budgetMs: this.policy.budget,
+            spentMs: Date.now() - this.startedAt,
+            retries: this.retries,
+            timeouts: this.timeouts,
+            exhausted: this.exhausted()
+        };
+    }
+}
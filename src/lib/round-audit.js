@@ -0,0 +1,103 @@
+import { formatVerdict } from './audit-engine.js';
+import { applyCopycatPenalty, detectCopycats, formatCluster } from './copycat.js';
+import { sampleSeed } from './reprobe.js';
+
+// Audit of one submission against the whole round. K2 asks for a vote per
+// submitter, but a submission can only be judged next to the others, so the
+// round's verified submissions are loaded once and every audit of that
+// round judges the audited submission among them, together with the
+// auditor's own re-probes of a sample of its endpoints. Submitters copying
+// each other's measurements lose part of their score.
+
+export class RoundAuditor {
+    /**
+     * @param {Object} options
+     * @param {Object} options.wrapper  namespaceWrapper, verdicts go to its logger
+     * @param {(round: number) => Promise<Array<import('./monitor.js').RoundSummary & { submitter: string }>>} options.loadSubmissions
+     *        verified submissions of a round, e.g. loadRoundSubmissions() of consensus.js
+     * @param {import('./audit-engine.js').AuditEngine} options.engine
+     * @param {import('./reprobe.js').Reprober} options.reprober
+     * @param {() => Promise<import('./chains/adapter.js').Endpoint[]>} options.knownEndpoints
+     *        endpoints the auditor monitors itself, the only ones it re-probes
+     * @param {{ threshold: number, minNodes: number, penalty: number }} options.copycat  config.copycat
+     */
+    constructor({ wrapper, loadSubmissions, engine, reprober, knownEndpoints, copycat }) {
+        this.wrapper = wrapper;
+        this.loadSubmissions = loadSubmissions;
+        this.engine = engine;
+        this.reprober = reprober;
+        this.knownEndpoints = knownEndpoints;
+        this.copycat = copycat;
+        this.round = null;
+        this.context = null;
+    }
+
+    /**
+     * Every verified submission of the round and the endpoints to re-probe,
+     * loaded once per round. Re-probes are shared within the round.
+     * @param {number} round
+     * @returns {Promise<{ submissions: Array<import('./monitor.js').RoundSummary & { submitter: string }>, known: import('./chains/adapter.js').Endpoint[] }>}
+     */
+    contextOf(round) {
+        if (this.round !== round) {
+            this.round = round;
+            this.reprober.reset();
+            this.context = Promise.all([this.loadSubmissions(round), this.knownEndpoints()])
+                .then(([submissions, known]) => ({ submissions, known }))
+                .catch(error => {
+                    // Try again at the next audit instead of failing the whole round
+                    this.round = null;
+                    throw error;
+                });
+        }
+        return this.context;
+    }
+
+    /**
+     * The round's submissions as its audits see them, e.g. for the consensus view.
+     * @param {number} round
+     */
+    async submissionsOf(round) {
+        return (await this.contextOf(round)).submissions;
+    }
+
+    /**
+     * Judge a submission against the other submissions of its round and log
+     * the verdict with its reasons, so a vote can be explained afterwards.
+     * @param {import('./monitor.js').RoundSummary & { submitter: string }} submission  verified by the caller
+     * @param {number} round
+     * @returns {Promise<import('./audit-engine.js').SubmissionVerdict>}
+     */
+    async audit(submission, round) {
+        // The audited submission as the caller verified it, whether or not
+        // the round's list already had it
+        const { submissions: loaded, known } = await this.contextOf(round);
+        const submissions = loaded
+            .filter(other => other.submitter !== submission.submitter)
+            .concat(submission);
+
+        // Probe a sample of its endpoints ourselves, so agreeing submissions
+        // can still fail when they don't match the nodes
+        const seed = sampleSeed(round, submissions, submission.submitter);
+        const reprobed = new Map([[submission.submitter, await this.reprober.verify(submission, seed, known)]]);
+
+        const verdict = this.engine.judge(submissions, reprobed).find(entry => entry.submitter === submission.submitter);
+
+        // Sharing measurements no independent probe reproduces costs part of
+        // the score, the clusters are logged for review
+        const clusters = detectCopycats(submissions, this.copycat)
+            .filter(cluster => cluster.members.includes(submission.submitter));
+        applyCopycatPenalty([verdict], clusters, this.copycat.penalty);
+        for (const cluster of clusters) {
+            for (const line of formatCluster(cluster)) {
+                await this.wrapper.logger('warn', line);
+            }
+        }
+
+        const level = verdict.score < 100 ? 'warn' : 'log';
+        for (const line of formatVerdict(verdict)) {
+            await this.wrapper.logger(level, line);
+        }
+        return verdict;
+    }
+}
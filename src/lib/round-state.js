@@ -0,0 +1,112 @@
+// Per-round state shared by the task stages, on top of any storeGet/storeSet
+// backend (namespaceWrapper). Every stage goes through the same typed keys,
+// an index keeps track of the stored rounds per kind, and rounds older than
+// the retention horizon are pruned whenever a newer one is stored.
+
+// What a stage stores per round
+export const ROUND_KINDS = {
+    // RoundSummary produced by the task, see monitor.js
+    status: 'node_status',
+    // Signed {cid, hash} pointer the node submitted, see signing.js
+    submission: 'submission'
+};
+
+export const ROUND_INDEX_KEY = 'round_state_index';
+
+/**
+ * Storage key of one kind of state for a round.
+ * @param {string} kind  a key of ROUND_KINDS
+ * @param {number} round
+ * @returns {string}
+ */
+export function roundKey(kind, round) {
+    checkKind(kind);
+    if (!Number.isInteger(round) || round < 0) {
+        throw new Error(`Invalid round ${JSON.stringify(round)}`);
+    }
+    return `${ROUND_KINDS[kind]}_${round}`;
+}
+
+function checkKind(kind) {
+    if (!(kind in ROUND_KINDS)) {
+        throw new Error(`Unknown round state kind "${kind}" (expected ${Object.keys(ROUND_KINDS).join(', ')})`);
+    }
+}
+
+export class RoundStateStore {
+    /**
+     * @param {Object} store anything with storeGet/storeSet, e.g. namespaceWrapper
+     * @param {Object} options
+     * @param {number} options.retention  rounds kept behind the newest stored round
+     */
+    constructor(store, { retention }) {
+        this.store = store;
+        this.retention = retention;
+    }
+
+    // kind -> stored rounds, ascending. Read every time, all stages share it.
+    async index() {
+        try {
+            const raw = await this.store.storeGet(ROUND_INDEX_KEY);
+            return raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            console.error('Error loading the round state index, starting fresh:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Store one kind of state for a round, then prune what is past the horizon.
+     * @param {string} kind
+     * @param {number} round
+     * @param {any} value  stored as JSON
+     */
+    async put(kind, round, value) {
+        await this.store.storeSet(roundKey(kind, round), JSON.stringify(value));
+
+        const index = await this.index();
+        index[kind] = [...new Set([...(index[kind] || []), round])].sort((a, b) => a - b);
+        await this.prune(index);
+    }
+
+    /**
+     * @param {string} kind
+     * @param {number} round
+     * @returns {Promise<any|null>}  null when nothing (or a pruned value) is stored
+     */
+    async get(kind, round) {
+        const raw = await this.store.storeGet(roundKey(kind, round));
+        return raw ? JSON.parse(raw) : null;
+    }
+
+    /**
+     * Rounds stored for a kind, ascending.
+     * @param {string} kind
+     * @returns {Promise<number[]>}
+     */
+    async list(kind) {
+        checkKind(kind);
+        return (await this.index())[kind] || [];
+    }
+
+    // Newest round stored for a kind, null if there is none
+    async latest(kind) {
+        const rounds = await this.list(kind);
+        return rounds.length > 0 ? rounds[rounds.length - 1] : null;
+    }
+
+    // The stores have no delete, so pruned values are overwritten with an
+    // empty string, which get() reads as nothing stored
+    async prune(index) {
+        const newest = Math.max(-1, ...Object.values(index).flat());
+        const horizon = newest - this.retention;
+
+        for (const [kind, rounds] of Object.entries(index)) {
+            for (const round of rounds.filter(r => r < horizon)) {
+                await this.store.storeSet(roundKey(kind, round), '');
+            }
+            index[kind] = rounds.filter(r => r >= horizon);
+        }
+        await this.store.storeSet(ROUND_INDEX_KEY, JSON.stringify(index));
+    }
+}
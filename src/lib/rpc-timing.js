@@ -0,0 +1,51 @@
+// Per-RPC-method timing so a slow or failing call can be told apart from
+// the others instead of failing the whole node check
+
+/**
+ * @typedef {Object} MethodResult
+ * @property {boolean} ok
+ * @property {number} latency  ms
+ * @property {string|null} error
+ */
+
+/**
+ * Run the named calls in parallel and time each one.
+ * A failing call resolves to null in `values` and never rejects the batch.
+ * With a ProbeBudget every call gets a deadline, retries and an AbortSignal.
+ * @param {Object<string, (signal?: AbortSignal) => Promise<any>>} calls
+ * @param {import('./request-policy.js').ProbeBudget} [budget]
+ * @returns {Promise<{ values: Object<string, any>, methods: Object<string, MethodResult> }>}
+ */
+export async function timeCalls(calls, budget) {
+    const values = {};
+    const methods = {};
+
+    await Promise.all(Object.entries(calls).map(async ([method, call]) => {
+        const startTime = Date.now();
+        try {
+            values[method] = budget ? await budget.run(method, call) : await call();
+            methods[method] = { ok: true, latency: Date.now() - startTime, error: null };
+        } catch (error) {
+            values[method] = null;
+            methods[method] = { ok: false, latency: Date.now() - startTime, error: error.message };
+        }
+    }));
+
+    return { values, methods };
+}
+
+// Placeholder for a call that could not be made because another one failed
+export function skipped(method, reason) {
+    return { [method]: { ok: false, latency: 0, error: `skipped: ${reason}` } };
+}
+
+export function failedMethods(methods = {}) {
+    return Object.keys(methods).filter(method => !methods[method].ok);
+}
+
+// One line per method for the CLI monitors
+export function formatMethods(methods = {}) {
+    return Object.entries(methods).map(([method, result]) =>
+        `${result.ok ? '✅' : '❌'} ${method}: ${result.latency}ms${result.ok ? '' : ` (${result.error})`}`
+    );
+}
@@ -0,0 +1,216 @@
+import { CHAIN_TYPES, NETWORK_TYPES } from './config.js';
+
+// Shared schema of the round payload (RoundSummary in monitor.js) that the
+// task stores, submission uploads and audit checks. Bump SCHEMA_VERSION on
+// every incompatible change and add a migration from the previous version,
+// so audits keep accepting payloads of nodes that have not upgraded yet.
+
+export const SCHEMA_VERSION = 3;
+
+// Oldest version audits still accept through the migrations below
+export const MIN_SCHEMA_VERSION = 1;
+
+export class SchemaError extends Error {
+    /**
+     * @param {string[]} errors  one message per failed field, prefixed with its path
+     */
+    constructor(errors) {
+        super(`Invalid round payload:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'SchemaError';
+        this.errors = errors;
+    }
+}
+
+// Field rules: each checks a value and pushes `${path} ...` messages
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function nullable(rule) {
+    return (value, path, errors) => {
+        if (value !== null) rule(value, path, errors);
+    };
+}
+
+function optional(rule) {
+    return (value, path, errors) => {
+        if (value !== undefined) rule(value, path, errors);
+    };
+}
+
+function number({ min = -Infinity, max = Infinity } = {}) {
+    return (value, path, errors) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`${path} must be a number, got ${JSON.stringify(value)}`);
+        } else if (value < min || value > max) {
+            errors.push(`${path} must be between ${min} and ${max}, got ${value}`);
+        }
+    };
+}
+
+function string(value, path, errors) {
+    if (typeof value !== 'string') errors.push(`${path} must be a string, got ${JSON.stringify(value)}`);
+}
+
+function boolean(value, path, errors) {
+    if (typeof value !== 'boolean') errors.push(`${path} must be a boolean, got ${JSON.stringify(value)}`);
+}
+
+function oneOf(values) {
+    return (value, path, errors) => {
+        if (!values.includes(value)) {
+            errors.push(`${path} must be one of ${values.join(', ')}, got ${JSON.stringify(value)}`);
+        }
+    };
+}
+
+function arrayOf(rule) {
+    return (value, path, errors) => {
+        if (!Array.isArray(value)) {
+            errors.push(`${path} must be an array`);
+            return;
+        }
+        value.forEach((item, index) => rule(item, `${path}[${index}]`, errors));
+    };
+}
+
+// Free-form object, e.g. chain specific details
+function anyObject(value, path, errors) {
+    if (!isObject(value)) errors.push(`${path} must be an object`);
+}
+
+function shape(fields) {
+    return (value, path, errors) => {
+        if (!isObject(value)) {
+            errors.push(`${path} must be an object`);
+            return;
+        }
+        for (const [field, rule] of Object.entries(fields)) {
+            rule(value[field], path ? `${path}.${field}` : field, errors);
+        }
+    };
+}
+
+const count = number({ min: 0 });
+
+const nodeSchema = shape({
+    endpoint: string,
+    network: oneOf(NETWORK_TYPES),
+    source: oneOf(['configured', 'discovered']),
+    timestamp: count,
+    score: number({ min: 0, max: 100 }),
+    issues: arrayOf(string),
+    metrics: shape({
+        blockHeight: count,
+        slotLag: nullable(count),
+        secondsBehind: nullable(count),
+        tps: count,
+        health: oneOf(['healthy', 'degraded', 'unhealthy', 'offline']),
+        responseTime: number({ min: -1 }), // -1 when offline
+        latency: nullable(anyObject),
+        peerCount: count,
+        version: string,
+        isResponding: boolean
+    }),
+    methods: anyObject,
+    failedMethods: arrayOf(string),
+    budget: optional(anyObject),
+    websocket: nullable(anyObject),
+    details: anyObject
+});
+
+const payloadSchema = shape({
+    schemaVersion: oneOf([SCHEMA_VERSION]),
+    chain: oneOf(CHAIN_TYPES),
+    timestamp: count,
+    round: count,
+    networkScore: number({ min: 0, max: 100 }),
+    networkStats: shape({
+        activeNodes: count,
+        totalNodes: count,
+        discoveredNodes: count,
+        highestBlock: count,
+        tips: anyObject,
+        totalTps: count
+    }),
+    nodes: arrayOf(nodeSchema)
+});
+
+// MIGRATIONS[n] turns a version n payload into version n + 1
+const MIGRATIONS = {
+    // Version 1 had no schemaVersion, no endpoint source and no WebSocket probe
+    1: payload => ({
+        ...payload,
+        schemaVersion: 2,
+        networkStats: { discoveredNodes: 0, ...payload.networkStats },
+        nodes: Array.isArray(payload.nodes)
+            ? payload.nodes.map(node => ({ source: 'configured', websocket: null, ...node }))
+            : payload.nodes
+    }),
+    // Version 2 only had the payload timestamp, nodes were probed shortly before it
+    2: payload => ({
+        ...payload,
+        schemaVersion: 3,
+        nodes: Array.isArray(payload.nodes)
+            ? payload.nodes.map(node => ({ timestamp: payload.timestamp, ...node }))
+            : payload.nodes
+    })
+};
+
+/**
+ * Field errors of a current version payload, empty when it is valid.
+ * @param {Object} payload
+ * @returns {string[]}
+ */
+export function validatePayload(payload) {
+    const errors = [];
+    payloadSchema(payload, '', errors);
+    return errors;
+}
+
+/**
+ * Bring a payload of an older supported version up to SCHEMA_VERSION.
+ * @param {Object} payload
+ * @returns {Object}
+ */
+export function migratePayload(payload) {
+    if (!isObject(payload)) {
+        throw new SchemaError(['payload must be an object']);
+    }
+    let version = payload.schemaVersion ?? 1;
+    if (!Number.isInteger(version) || version < MIN_SCHEMA_VERSION || version > SCHEMA_VERSION) {
+        throw new SchemaError([
+            `schemaVersion ${JSON.stringify(payload.schemaVersion)} is not supported (expected ${MIN_SCHEMA_VERSION} to ${SCHEMA_VERSION})`
+        ]);
+    }
+
+    let migrated = payload;
+    while (version < SCHEMA_VERSION) {
+        migrated = MIGRATIONS[version](migrated);
+        version++;
+    }
+    return migrated;
+}
+
+/**
+ * Parse, migrate and validate a payload from its JSON or object form.
+ * Throws a SchemaError listing every field that failed.
+ * @param {string|Object} value
+ * @returns {import('./monitor.js').RoundSummary}
+ */
+export function parsePayload(value) {
+    let payload = value;
+    if (typeof value === 'string') {
+        try {
+            payload = JSON.parse(value);
+        } catch (error) {
+            throw new SchemaError([`payload is not valid JSON: ${error.message}`]);
+        }
+    }
+
+    const migrated = migratePayload(payload);
+    const errors = validatePayload(migrated);
+    if (errors.length > 0) {
+        throw new SchemaError(errors);
+    }
+    return migrated;
+}
@@ -0,0 +1,66 @@
+// Signed submissions: the on-chain value carries the payload pointer, the
+// round and the submitter's staking key, signed with the staking keypair
+// through the namespace wrapper. The payload is covered through its hash.
+
+/**
+ * @typedef {Object} SignedSubmission
+ * @property {string} cid
+ * @property {string} hash
+ * @property {number} round
+ * @property {string} stakingKey  base58 public key of the signer
+ * @property {string} signature   signed message as returned by payloadSigning()
+ */
+
+/**
+ * @param {Object} wrapper  namespaceWrapper
+ * @param {import('./content-store.js').SubmissionPointer} pointer
+ * @param {number} round
+ * @returns {Promise<SignedSubmission>}
+ */
+export async function signSubmission(wrapper, pointer, round) {
+    const keypair = await wrapper.getSubmitterAccount();
+    if (!keypair) {
+        throw new Error('No staking keypair available to sign the submission');
+    }
+    const body = { cid: pointer.cid, hash: pointer.hash, round, stakingKey: keypair.publicKey.toBase58() };
+    const signature = await wrapper.payloadSigning(body, keypair.secretKey);
+    if (!signature) {
+        throw new Error('Signing the submission failed');
+    }
+    return { ...body, signature };
+}
+
+/**
+ * Check the signature and that it was made by the submitter for this round.
+ * Throws an Error naming the first check that failed.
+ * @param {Object} wrapper  namespaceWrapper
+ * @param {SignedSubmission} submission
+ * @param {number} round
+ * @param {string} submitterKey  staking key the submission was made with
+ * @returns {Promise<import('./content-store.js').SubmissionPointer>}
+ */
+export async function verifySubmission(wrapper, submission, round, submitterKey) {
+    if (!submission || typeof submission.signature !== 'string') {
+        throw new Error('Submission is not signed');
+    }
+    if (submission.stakingKey !== submitterKey) {
+        throw new Error(`Submission signed by ${submission.stakingKey}, submitted by ${submitterKey}`);
+    }
+
+    const { data, error } = await wrapper.verifySignature(submission.signature, submitterKey);
+    if (error || !data) {
+        throw new Error(`Signature does not verify for ${submitterKey}: ${error || 'no data'}`);
+    }
+
+    // The signed body is authoritative, the plain fields next to it are not
+    const signed = JSON.parse(data);
+    for (const field of ['cid', 'hash', 'round', 'stakingKey']) {
+        if (signed[field] !== submission[field]) {
+            throw new Error(`Signed ${field} does not match the submitted ${field}`);
+        }
+    }
+    if (signed.round !== round) {
+        throw new Error(`Submission was signed for round ${signed.round}, not ${round}`);
+    }
+    return { cid: signed.cid, hash: signed.hash };
+}
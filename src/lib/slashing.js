@@ -0,0 +1,175 @@
+// Graduated slashing: a submitter voted down gets warnings first, then
+// escalating slashes, capped. Offenses decay again after a run of clean
+// rounds. The offense and clean-round counts live in namespace storage, since
+// K2 only holds the audit votes of the last few rounds. Every round is
+// counted once: its decisions are kept, so building a round's distribution
+// list again gives the same slashes. Rounds this node didn't count itself are
+// caught up from the votes K2 still holds (see voteHistory() in
+// distribution-audit.js).
+
+export const SLASHING_KEY = 'slashing_state';
+
+// Rounds whose decisions are kept for recomputation
+const ROUNDS_KEPT = 10;
+
+/**
+ * @typedef {Object} SlashDecision
+ * @property {string} publicKey
+ * @property {'none'|'warn'|'slash'} action
+ * @property {number} percent   share of the stake slashed, 0-100
+ * @property {number} offenses  counted offenses after this round
+ * @property {string} reason
+ */
+
+/**
+ * @typedef {Object} RoundVotes
+ * @property {number} round
+ * @property {Array<{ publicKey: string, votes: number }>} submitters
+ */
+
+export class SlashingPolicy {
+    /**
+     * @param {Object} [store] anything with storeGet/storeSet, e.g. namespaceWrapper
+     * @param {Object} options  config.slashing
+     * @param {number} options.warnings     offenses that only warn
+     * @param {number[]} options.steps      percent slashed at each further offense
+     * @param {number} options.cap          highest percent ever slashed
+     * @param {number} options.decayRounds  clean rounds that forgive one offense
+     */
+    constructor(store, { warnings, steps, cap, decayRounds }) {
+        this.store = store;
+        this.warnings = warnings;
+        this.steps = steps;
+        this.cap = cap;
+        this.decayRounds = decayRounds;
+        // publicKey -> { offenses, cleanRounds }
+        this.submitters = {};
+        // round -> { publicKey: SlashDecision }
+        this.rounds = {};
+        // Latest round counted into the submitters' state
+        this.lastRound = -1;
+        this.loaded = false;
+    }
+
+    async load() {
+        if (this.loaded) return;
+        this.loaded = true;
+        if (!this.store) return;
+
+        try {
+            const raw = await this.store.storeGet(SLASHING_KEY);
+            const state = raw ? JSON.parse(raw) : {};
+            this.submitters = state.submitters || {};
+            this.rounds = state.rounds || {};
+            this.lastRound = state.lastRound ?? -1;
+        } catch (error) {
+            console.error('Error loading slashing state, starting fresh:', error.message);
+        }
+    }
+
+    // Percent slashed for the given offense count, 0 while still warning
+    percentFor(offenses) {
+        if (offenses <= this.warnings || this.steps.length === 0) return 0;
+        const step = Math.min(offenses - this.warnings, this.steps.length) - 1;
+        return Math.min(this.steps[step], this.cap);
+    }
+
+    /**
+     * Count one round of a submitter into its state.
+     * @param {Object<string, { offenses: number, cleanRounds: number }>} states  changed in place
+     * @param {{ publicKey: string, votes: number }} submitter
+     * @returns {SlashDecision}
+     */
+    decide(states, submitter) {
+        const state = states[submitter.publicKey] || { offenses: 0, cleanRounds: 0 };
+        let decision;
+
+        if (submitter.votes < 0) {
+            state.offenses++;
+            state.cleanRounds = 0;
+            const percent = this.percentFor(state.offenses);
+            decision = percent > 0
+                ? {
+                    action: 'slash',
+                    percent,
+                    reason: `offense ${state.offenses} (${submitter.votes} votes), ` +
+                        `slashing ${percent}% of the stake${percent === this.cap ? ' (cap)' : ''}`
+                }
+                : {
+                    action: 'warn',
+                    percent: 0,
+                    reason: `offense ${state.offenses} (${submitter.votes} votes), ` +
+                        `warning ${state.offenses} of ${this.warnings}`
+                };
+        } else if (submitter.votes > 0) {
+            state.cleanRounds++;
+            let reason = 'clean round';
+            if (state.offenses > 0 && state.cleanRounds >= this.decayRounds) {
+                state.offenses--;
+                state.cleanRounds = 0;
+                reason = `${this.decayRounds} clean rounds, offenses decayed to ${state.offenses}`;
+            }
+            decision = { action: 'none', percent: 0, reason };
+        } else {
+            // Nobody audited the submission, it neither counts for nor against
+            decision = { action: 'none', percent: 0, reason: 'no votes' };
+        }
+
+        states[submitter.publicKey] = state;
+        return { publicKey: submitter.publicKey, ...decision, offenses: state.offenses };
+    }
+
+    // Decisions for every submitter of a round, in the same order everywhere
+    decideAll(states, submitters) {
+        const decisions = {};
+        const sorted = submitters.slice().sort((a, b) => a.publicKey.localeCompare(b.publicKey));
+        for (const submitter of sorted) {
+            decisions[submitter.publicKey] = this.decide(states, submitter);
+        }
+        return decisions;
+    }
+
+    count(round, submitters) {
+        this.rounds[round] = this.decideAll(this.submitters, submitters);
+        this.lastRound = round;
+        const kept = Object.keys(this.rounds).map(Number).sort((a, b) => b - a).slice(0, ROUNDS_KEPT);
+        this.rounds = Object.fromEntries(kept.map(r => [r, this.rounds[r]]));
+        return this.rounds[round];
+    }
+
+    /**
+     * Decide the slashes of one round. A round decided before returns the
+     * same decisions without counting its offenses again.
+     * @param {number} round
+     * @param {Array<{ publicKey: string, votes: number }>} submitters
+     * @param {RoundVotes[]} [history]  earlier rounds' votes K2 still holds, the
+     *   ones not counted yet are counted first
+     * @returns {Promise<Object<string, SlashDecision>>}
+     */
+    async decideRound(round, submitters, history = []) {
+        await this.load();
+        if (this.rounds[round]) return this.rounds[round];
+
+        const missed = history
+            .filter(entry => entry.round > this.lastRound && entry.round < round)
+            .sort((a, b) => a.round - b.round);
+        for (const past of missed) {
+            this.count(past.round, past.submitters);
+        }
+
+        // A round older than the ones counted, whose decisions are no longer
+        // kept, is decided on a copy so its offenses don't count twice
+        const decisions = round > this.lastRound
+            ? this.count(round, submitters)
+            : this.decideAll(structuredClone(this.submitters), submitters);
+
+        if (this.store) {
+            await this.store.storeSet(SLASHING_KEY, JSON.stringify({
+                submitters: this.submitters,
+                rounds: this.rounds,
+                lastRound: this.lastRound
+            }));
+        }
+        return decisions;
+    }
+}
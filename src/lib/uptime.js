@@ -0,0 +1,200 @@
+// Uptime and SLA figures per endpoint over rolling windows. Every round's
+// health is folded into spans of unchanged health, so a month of rounds
+// stays small in the namespace store. The health state is what gets stored,
+// what it means for availability (up, degraded or down) is applied when a
+// report is made, so changing the definition also applies to the past.
+
+export const UPTIME_KEY = 'uptime_log';
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Reported windows, the longest one is also how long spans are kept
+export const UPTIME_WINDOWS = {
+    '24h': DAY_MS,
+    '7d': 7 * DAY_MS,
+    '30d': 30 * DAY_MS
+};
+
+const RETENTION_MS = Math.max(...Object.values(UPTIME_WINDOWS));
+
+/**
+ * @typedef {Object} HealthSpan
+ * @property {string} health  as probed, see chains/adapter.js
+ * @property {number} start   ms, first observation with this health
+ * @property {number} end     ms, the next observation, or the last one for the newest span
+ */
+
+/**
+ * @typedef {Object} WindowSummary
+ * @property {number|null} uptime    percent of the observed time up or degraded, null if nothing was observed
+ * @property {number|null} degraded  percent of the observed time degraded
+ * @property {number} observed       ms of the window covered by observations
+ * @property {number} coverage       percent of the window covered by observations
+ * @property {number} outages        maximal down periods overlapping the window
+ * @property {number|null} mttr      ms, mean duration of the outages that recovered, null if none did
+ * @property {number} longestOutage  ms, 0 without outages
+ * @property {boolean} down          an outage is still going on at the last observation
+ */
+
+/**
+ * Uptime figures of one endpoint for the window [from, to].
+ * @param {HealthSpan[]} spans  oldest first
+ * @param {number} from  ms
+ * @param {number} to    ms
+ * @param {Object<string, string>} availability  health state -> up, degraded or down
+ * @returns {WindowSummary}
+ */
+export function summarizeWindow(spans, from, to, availability) {
+    const inWindow = spans
+        .filter(span => span.end >= from && span.start <= to)
+        .map(span => ({
+            // Health states nobody mapped can't be vouched for
+            state: availability[span.health] || 'down',
+            start: Math.max(span.start, from),
+            end: Math.min(span.end, to)
+        }));
+
+    const time = { up: 0, degraded: 0, down: 0 };
+    for (const span of inWindow) time[span.state] += span.end - span.start;
+    const observed = time.up + time.degraded + time.down;
+
+    // Consecutive down spans are one outage, it recovered if observations
+    // continue without a gap into an available span
+    const outages = [];
+    let current = null;
+    for (const span of inWindow) {
+        const continues = current !== null && current.end === span.start;
+        if (span.state === 'down') {
+            if (continues) {
+                current.end = span.end;
+            } else {
+                current = { start: span.start, end: span.end, recovered: false };
+                outages.push(current);
+            }
+        } else {
+            if (continues) current.recovered = true;
+            current = null;
+        }
+    }
+
+    const recovered = outages.filter(outage => outage.recovered).map(outage => outage.end - outage.start);
+    const lastSpan = inWindow[inWindow.length - 1];
+    return {
+        uptime: observed > 0 ? ((time.up + time.degraded) / observed) * 100 : null,
+        degraded: observed > 0 ? (time.degraded / observed) * 100 : null,
+        observed,
+        coverage: (observed / (to - from)) * 100,
+        outages: outages.length,
+        mttr: recovered.length > 0 ? recovered.reduce((acc, duration) => acc + duration, 0) / recovered.length : null,
+        longestOutage: Math.max(0, ...outages.map(outage => outage.end - outage.start)),
+        down: lastSpan ? lastSpan.state === 'down' : false
+    };
+}
+
+export class UptimeLog {
+    /**
+     * @param {Object} store anything with storeGet/storeSet, e.g. namespaceWrapper
+     * @param {Object} options  config.uptime
+     * @param {Object<string, string>} options.availability  health state -> up, degraded or down
+     * @param {number} options.maxGap  seconds between observations that still count as observed
+     */
+    constructor(store, { availability, maxGap }) {
+        this.store = store;
+        this.availability = availability;
+        this.maxGap = maxGap;
+    }
+
+    // endpoint -> { network, spans }. Read every time, the task writes and
+    // the routes read through their own instances.
+    async read() {
+        try {
+            const raw = await this.store.storeGet(UPTIME_KEY);
+            return raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            console.error('Error loading the uptime log, starting fresh:', error.message);
+            return {};
+        }
+    }
+
+    /**
+     * Fold one round of status records into the spans, and drop what is
+     * older than the longest window.
+     * @param {import('./chains/adapter.js').StatusRecord[]} records
+     */
+    async record(records) {
+        const log = await this.read();
+        let newest = 0;
+
+        for (const { endpoint, network, health, timestamp } of records) {
+            newest = Math.max(newest, timestamp);
+            const entry = log[endpoint] || { network, spans: [] };
+            entry.network = network;
+            log[endpoint] = entry;
+
+            // Without an observation for too long, the time in between is unknown
+            const last = entry.spans[entry.spans.length - 1];
+            if (last && timestamp >= last.end && timestamp - last.end <= this.maxGap * 1000) {
+                last.end = timestamp;
+                if (last.health === health) continue;
+            }
+            entry.spans.push({ health, start: timestamp, end: timestamp });
+        }
+
+        for (const [endpoint, entry] of Object.entries(log)) {
+            entry.spans = entry.spans.filter(span => span.end >= newest - RETENTION_MS);
+            if (entry.spans.length === 0) delete log[endpoint];
+        }
+        await this.store.storeSet(UPTIME_KEY, JSON.stringify(log));
+    }
+
+    /**
+     * Every endpoint's figures for each of UPTIME_WINDOWS, ending at `now`.
+     * @param {number} [now]  ms
+     */
+    async report(now = Date.now()) {
+        const log = await this.read();
+        const endpoints = Object.keys(log).sort().map(endpoint => ({
+            endpoint,
+            network: log[endpoint].network,
+            windows: Object.fromEntries(Object.entries(UPTIME_WINDOWS).map(([label, length]) =>
+                [label, summarizeWindow(log[endpoint].spans, now - length, now, this.availability)]
+            ))
+        }));
+        return { generatedAt: now, availability: this.availability, endpoints };
+    }
+}
+
+// e.g. 2d 4h, 1h 5m, 5m 30s
+export function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    const parts = [
+        [Math.floor(seconds / 86400), 'd'],
+        [Math.floor(seconds / 3600) % 24, 'h'],
+        [Math.floor(seconds / 60) % 60, 'm'],
+        [seconds % 60, 's']
+    ];
+    const first = parts.findIndex(([value]) => value > 0);
+    if (first === -1) return '0s';
+    return parts.slice(first, first + 2).map(([value, unit]) => `${value}${unit}`).join(' ');
+}
+
+function formatPercent(value) {
+    return value === null ? 'n/a' : `${value.toFixed(2)}%`;
+}
+
+// One block per endpoint, one line per window, for the CLI report
+export function formatUptimeReport(report) {
+    const lines = [`Uptime report of ${new Date(report.generatedAt).toISOString()}`];
+    for (const { endpoint, network, windows } of report.endpoints) {
+        lines.push('', `${endpoint} (${network})`);
+        for (const [label, summary] of Object.entries(windows)) {
+            const mttr = summary.mttr === null ? 'n/a' : formatDuration(summary.mttr);
+            lines.push(`  ${label.padEnd(4)} ${formatPercent(summary.uptime)} up ` +
+                `(${formatPercent(summary.degraded)} degraded), ${summary.outages} outage(s), ` +
+                `MTTR ${mttr}, longest ${formatDuration(summary.longestOutage)}, ` +
+                `${summary.coverage.toFixed(0)}% observed${summary.down ? ', DOWN now' : ''}`);
+        }
+    }
+    return lines;
+}
@@ -0,0 +1,186 @@
+// Per-validator tracking from getVoteAccounts and getBlockProduction:
+// delinquency transitions, last vote lag, commission changes and the
+// leader-slot skip rate accumulated over the epochs seen. Watched
+// validators alert when a condition starts or ends, not on every update
+// while it lasts, and the state survives restarts through the store.
+
+export const VALIDATORS_KEY = 'validator_state';
+
+// Epochs of block production kept per validator
+const EPOCHS_KEPT = 10;
+
+// Too few leader slots make the skip rate meaningless
+const MIN_LEADER_SLOTS = 4;
+
+/**
+ * @typedef {Object} ValidatorStatus
+ * @property {string} identity        node identity pubkey
+ * @property {string} votePubkey
+ * @property {boolean} delinquent
+ * @property {number} lastVote        slot of the last vote
+ * @property {number|null} lastVoteLag  slots between the last vote and the current slot
+ * @property {number} commission      percent
+ * @property {number} activatedStake  KOII
+ * @property {number} leaderSlots     this epoch
+ * @property {number} blocksProduced  this epoch
+ */
+
+/**
+ * Combine vote accounts and block production into one entry per identity.
+ * @param {Object} voteAccounts   getVoteAccounts result
+ * @param {Object} [blockProduction]  getBlockProduction result
+ * @param {number} [slot]  current slot, for the vote lag
+ * @returns {ValidatorStatus[]}
+ */
+export function summarizeValidators(voteAccounts, blockProduction, slot) {
+    if (!voteAccounts) return [];
+    const byIdentity = blockProduction?.value?.byIdentity || {};
+    const accounts = [
+        ...(voteAccounts.current || []).map(account => ({ ...account, delinquent: false })),
+        ...(voteAccounts.delinquent || []).map(account => ({ ...account, delinquent: true }))
+    ];
+
+    return accounts.map(account => {
+        const [leaderSlots, blocksProduced] = byIdentity[account.nodePubkey] || [0, 0];
+        return {
+            identity: account.nodePubkey,
+            votePubkey: account.votePubkey,
+            delinquent: account.delinquent,
+            lastVote: account.lastVote,
+            lastVoteLag: slot ? Math.max(0, slot - account.lastVote) : null,
+            commission: account.commission,
+            activatedStake: (account.activatedStake || 0) / 1e9,
+            leaderSlots,
+            blocksProduced
+        };
+    });
+}
+
+// Share of leader slots without a block, in percent
+export function skipRate(leaderSlots, blocksProduced) {
+    if (!leaderSlots) return null;
+    return (1 - blocksProduced / leaderSlots) * 100;
+}
+
+export class ValidatorTracker {
+    /**
+     * @param {Object} [store] anything with storeGet/storeSet, e.g. namespaceWrapper
+     * @param {Object} options
+     * @param {string[]} options.watch     identities that raise alerts
+     * @param {number} options.maxSkipRate percent
+     * @param {string} [options.network]  kept apart from the other networks' trackers
+     */
+    constructor(store, { watch = [], maxSkipRate, network }) {
+        this.store = store;
+        this.watch = watch;
+        this.maxSkipRate = maxSkipRate;
+        // One tracker per network, each under its own key
+        this.key = network ? `${VALIDATORS_KEY}_${network}` : VALIDATORS_KEY;
+        // identity -> { delinquent, since, commission, lastVote, lastVoteLag,
+        //   epochs: { [epoch]: [leaderSlots, blocksProduced] } }, since = last delinquency change
+        this.validators = {};
+        // watched identity -> { missing, delinquent, skipRate }, the conditions alerted on
+        this.alerting = {};
+        this.loaded = false;
+    }
+
+    async load() {
+        if (this.loaded) return;
+        this.loaded = true;
+        if (!this.store) return;
+
+        try {
+            const raw = await this.store.storeGet(this.key);
+            const state = raw ? JSON.parse(raw) : {};
+            this.validators = state.validators || {};
+            this.alerting = state.alerting || {};
+        } catch (error) {
+            console.error('Error loading validator state, starting fresh:', error.message);
+        }
+    }
+
+    // Leader slots and produced blocks summed over the kept epochs
+    totals(identity) {
+        const epochs = Object.values(this.validators[identity]?.epochs || {});
+        const leaderSlots = epochs.reduce((acc, [slots]) => acc + slots, 0);
+        const blocksProduced = epochs.reduce((acc, [, blocks]) => acc + blocks, 0);
+        return { leaderSlots, blocksProduced, skipRate: skipRate(leaderSlots, blocksProduced) };
+    }
+
+    /**
+     * Fold one observation of the cluster into the tracked state.
+     * @param {number} epoch
+     * @param {ValidatorStatus[]} validators
+     * @param {number} [now]
+     * @returns {{ events: string[], alerts: string[] }} changes since the last update,
+     *   and the conditions of watched identities that started or ended with it
+     */
+    async update(epoch, validators, now = Date.now()) {
+        await this.load();
+        const events = [];
+        const alerts = [];
+
+        for (const validator of validators) {
+            const previous = this.validators[validator.identity];
+            const state = previous || { epochs: {}, since: now };
+
+            if (previous && previous.delinquent !== validator.delinquent) {
+                events.push(validator.delinquent
+                    ? `${validator.identity} became delinquent (last vote ${validator.lastVoteLag ?? 'n/a'} slots ago)`
+                    : `${validator.identity} recovered from delinquency`);
+                state.since = now;
+            }
+            if (previous && previous.commission !== validator.commission) {
+                events.push(`${validator.identity} changed commission from ${previous.commission}% to ${validator.commission}%`);
+            }
+
+            state.delinquent = validator.delinquent;
+            state.commission = validator.commission;
+            state.lastVote = validator.lastVote;
+            state.lastVoteLag = validator.lastVoteLag;
+            // byIdentity grows through the epoch, so the latest reading wins
+            state.epochs[epoch] = [validator.leaderSlots, validator.blocksProduced];
+            const kept = Object.keys(state.epochs).map(Number).sort((a, b) => b - a).slice(0, EPOCHS_KEPT);
+            state.epochs = Object.fromEntries(kept.map(e => [e, state.epochs[e]]));
+            this.validators[validator.identity] = state;
+        }
+
+        for (const identity of this.watch) {
+            const validator = validators.find(v => v.identity === identity);
+            const totals = this.totals(identity);
+            const alerting = this.alerting[identity] || { missing: false, delinquent: false, skipRate: false };
+            const conditions = {
+                missing: !validator,
+                delinquent: Boolean(validator?.delinquent),
+                skipRate: Boolean(validator) && totals.leaderSlots >= MIN_LEADER_SLOTS && totals.skipRate > this.maxSkipRate
+            };
+
+            if (conditions.missing !== alerting.missing) {
+                alerts.push(conditions.missing
+                    ? `Watched validator ${identity} has no vote account`
+                    : `Watched validator ${identity} has a vote account again`);
+            }
+            if (conditions.delinquent !== alerting.delinquent && !conditions.missing) {
+                alerts.push(conditions.delinquent
+                    ? `Watched validator ${identity} is delinquent (last vote ${validator.lastVoteLag ?? 'n/a'} slots ago)`
+                    : `Watched validator ${identity} recovered from delinquency`);
+            }
+            if (conditions.skipRate !== alerting.skipRate && !conditions.missing) {
+                alerts.push(conditions.skipRate
+                    ? `Watched validator ${identity} skip rate ${totals.skipRate.toFixed(1)}% ` +
+                        `(${totals.leaderSlots - totals.blocksProduced}/${totals.leaderSlots} leader slots) above ${this.maxSkipRate}%`
+                    : `Watched validator ${identity} skip rate back to ${totals.skipRate.toFixed(1)}%, within ${this.maxSkipRate}%`);
+            }
+            // Without a vote account the other conditions are unknown, they
+            // are alerted again if they still hold once it is back
+            this.alerting[identity] = conditions.missing
+                ? { missing: true, delinquent: false, skipRate: false }
+                : conditions;
+        }
+
+        if (this.store) {
+            await this.store.storeSet(this.key, JSON.stringify({ validators: this.validators, alerting: this.alerting }));
+        }
+        return { events, alerts };
+    }
+}
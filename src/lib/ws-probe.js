@@ -0,0 +1,124 @@
+import { Client } from 'rpc-websockets';
+
+// Health of a K2 node's PubSub side: connect time, slot/root notification
+// rate and how far the notified slot trails the HTTP slot
+
+// Same mapping web3.js uses: http(s) -> ws(s), an explicit port moves up by one
+export function websocketUrl(httpUrl) {
+    const url = new URL(httpUrl);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    if (url.port !== '') {
+        url.port = String(Number(url.port) + 1);
+    }
+    return url.toString().replace(/\/$/, '');
+}
+
+function connect(wsUrl, timeout) {
+    return new Promise((resolve, reject) => {
+        const client = new Client(wsUrl, { autoconnect: true, reconnect: false });
+        const timer = setTimeout(() => {
+            client.close();
+            reject(new Error(`connect timed out after ${timeout}ms`));
+        }, timeout);
+
+        client.once('open', () => {
+            clearTimeout(timer);
+            resolve(client);
+        });
+        client.once('error', error => {
+            clearTimeout(timer);
+            client.close();
+            reject(new Error(error?.message || 'connection error'));
+        });
+    });
+}
+
+/**
+ * @typedef {Object} WebSocketStatus
+ * @property {string} url
+ * @property {string} status          'ok', 'lagging' or 'down'
+ * @property {number|null} connectTime   ms
+ * @property {number} slotNotifications
+ * @property {number} rootNotifications
+ * @property {number} slotRate        notifications per second
+ * @property {number} expectedRate    slots per second for the chain
+ * @property {number|null} lastSlot   last slot seen on the socket
+ * @property {number|null} httpSlot   slot reported over HTTP at the end of the window
+ * @property {number|null} slotLag    httpSlot - lastSlot
+ * @property {number|null} notificationDelay  slotLag in seconds
+ * @property {string|null} error
+ */
+
+/**
+ * Subscribe to slot and root notifications for `duration` ms.
+ * @param {string} wsUrl
+ * @param {Object} options
+ * @param {number} options.duration        listening window in ms
+ * @param {number} options.timeout         connect/subscribe deadline in ms
+ * @param {number} options.slotTime        seconds per slot
+ * @param {number} options.maxLag          seconds behind HTTP before the socket counts as lagging
+ * @param {() => Promise<number>} options.getHttpSlot
+ * @returns {Promise<WebSocketStatus>}
+ */
+export async function probeWebSocket(wsUrl, { duration, timeout, slotTime, maxLag, getHttpSlot }) {
+    const expectedRate = 1 / slotTime;
+    const result = {
+        url: wsUrl,
+        status: 'down',
+        connectTime: null,
+        slotNotifications: 0,
+        rootNotifications: 0,
+        slotRate: 0,
+        expectedRate,
+        lastSlot: null,
+        httpSlot: null,
+        slotLag: null,
+        notificationDelay: null,
+        error: null
+    };
+
+    let client;
+    const startTime = Date.now();
+    try {
+        client = await connect(wsUrl, timeout);
+        result.connectTime = Date.now() - startTime;
+
+        client.on('slotNotification', ({ result: notification }) => {
+            result.slotNotifications++;
+            result.lastSlot = notification.slot;
+        });
+        client.on('rootNotification', () => {
+            result.rootNotifications++;
+        });
+
+        await Promise.all([
+            client.call('slotSubscribe', [], timeout),
+            client.call('rootSubscribe', [], timeout)
+        ]);
+
+        const listenStart = Date.now();
+        await new Promise(resolve => setTimeout(resolve, duration));
+        result.slotRate = result.slotNotifications / ((Date.now() - listenStart) / 1000);
+
+        // An HTTP failure is reported by the HTTP probe, not held against the socket
+        result.httpSlot = await getHttpSlot().catch(() => null);
+        if (result.lastSlot !== null && result.httpSlot !== null) {
+            result.slotLag = Math.max(0, result.httpSlot - result.lastSlot);
+            result.notificationDelay = result.slotLag * slotTime;
+        }
+
+        if (result.slotNotifications === 0) {
+            result.error = `no slot notifications within ${duration}ms`;
+        } else if (result.slotRate < expectedRate * 0.5 || result.notificationDelay > maxLag) {
+            result.status = 'lagging';
+        } else {
+            result.status = 'ok';
+        }
+    } catch (error) {
+        result.error = error.message;
+    } finally {
+        if (client) client.close();
+    }
+
+    return result;
+}
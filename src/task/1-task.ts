@@ -1,93 +1,34 @@
 import { namespaceWrapper } from "@_koii/namespace-wrapper";
-import Web3 from 'web3';
+import { getConfig } from "../lib/config";
+import { monitorEvents } from "../lib/event-stream";
+import { Monitor } from "../lib/monitor";
+import { monitorMetrics } from "../lib/monitor-metrics";
+import { RoundStateStore } from "../lib/round-state";
+import { parsePayload } from "../lib/schema";
 
-// PulseChain mainnet RPC endpoints
-const PULSECHAIN_NODES = [
-  'https://rpc.pulsechain.com',
-  'https://pulsechain.publicnode.com',
-  'https://rpc-pulsechain.g4mm4.io'
-];
-
-interface NodeStatus {
-  endpoint: string;
-  blockHeight: number;
-  responseTime: number;
-  timestamp: number;
-  gasPrice: string;
-  peerCount: number;
-  isResponding: boolean;
-}
-
-async function checkNodeStatus(endpoint: string): Promise<NodeStatus> {
-  const startTime = Date.now();
-  try {
-    const web3 = new Web3(endpoint);
-    
-    // Make all requests in parallel for efficiency
-    const [blockNumber, gasPrice, peerCount] = await Promise.all([
-      web3.eth.getBlockNumber(),
-      web3.eth.getGasPrice(),
-      web3.eth.net.getPeerCount()
-    ]);
-
-    // Get the latest block details
-    const block = await web3.eth.getBlock(blockNumber);
-    
-    return {
-      endpoint,
-      blockHeight: blockNumber,
-      responseTime: Date.now() - startTime,
-      timestamp: block.timestamp as number,
-      gasPrice: web3.utils.fromWei(gasPrice, 'gwei'),
-      peerCount,
-      isResponding: true
-    };
-  } catch (error) {
-    console.error(`Error checking node ${endpoint}:`, error);
-    return {
-      endpoint,
-      blockHeight: 0,
-      responseTime: -1,
-      timestamp: 0,
-      gasPrice: '0',
-      peerCount: 0,
-      isResponding: false
-    };
-  }
-}
+// The chain (K2 or EVM) and its endpoints come from the task config,
+// per-endpoint history is kept in the namespace store
+const monitor = new Monitor({ store: namespaceWrapper });
+const roundState = new RoundStateStore(namespaceWrapper, { retention: getConfig().roundRetention });
 
 export async function task(roundNumber: number): Promise<void> {
   try {
-    console.log(`EXECUTE PULSECHAIN NODE STATUS CHECK FOR ROUND ${roundNumber}`);
-    
-    // Check all nodes in parallel
-    const statusPromises = PULSECHAIN_NODES.map(node => checkNodeStatus(node));
-    const results = await Promise.all(statusPromises);
-    
-    // Create a summary of results
-    const summary = {
-      timestamp: Date.now(),
-      roundNumber,
-      nodes: results,
-      networkStats: {
-        activeNodes: results.filter(r => r.isResponding).length,
-        averageGasPrice: results
-          .filter(r => r.isResponding)
-          .reduce((acc, curr) => acc + parseFloat(curr.gasPrice), 0) / results.filter(r => r.isResponding).length,
-        highestBlock: Math.max(...results.map(r => r.blockHeight))
-      }
-    };
-
-    // Store the results
-    await namespaceWrapper.storeSet(
-      `pulsechain_status_${roundNumber}`,
-      JSON.stringify(summary)
+    console.log(
+      `EXECUTE ${monitor.adapter.name.toUpperCase()} NODE STATUS CHECK FOR ROUND ${roundNumber}`,
     );
 
-    console.log('PulseChain Status Summary:', {
-      activeNodes: summary.networkStats.activeNodes,
-      averageGasPrice: summary.networkStats.averageGasPrice.toFixed(2) + ' gwei',
-      highestBlock: summary.networkStats.highestBlock
+    // Fail the round here rather than in every audit if the payload is malformed
+    const summary = parsePayload(await monitor.run(roundNumber));
+
+    // Store the results, older rounds past the retention are pruned
+    await roundState.put("status", roundNumber, summary);
+    monitorMetrics.record(summary);
+    monitorEvents.recordRound(summary);
+
+    console.log("Node Status Summary:", {
+      activeNodes: `${summary.networkStats.activeNodes}/${summary.networkStats.totalNodes}`,
+      highestBlock: summary.networkStats.highestBlock,
+      networkScore: summary.networkScore.toFixed(2),
     });
   } catch (error) {
     console.error("EXECUTE TASK ERROR:", error);
@@ -1,24 +1,11 @@
+import { getConfig } from '../lib/config.js';
+import { RoundStateStore } from '../lib/round-state.js';
+import { parsePayload } from '../lib/schema.js';
+
 class Submission {
-    constructor(namespaceWrapper) {
+    constructor(namespaceWrapper, config = getConfig()) {
         this.namespace = namespaceWrapper;
-    }
-
-    async validateNode(nodeData) {
-        // Basic validation checks
-        if (!nodeData || typeof nodeData !== 'object') return false;
-        if (!nodeData.metrics || typeof nodeData.metrics !== 'object') return false;
-        
-        // Validate required fields
-        const requiredMetrics = ['blockHeight', 'tps', 'health', 'responseTime'];
-        if (!requiredMetrics.every(metric => metric in nodeData.metrics)) return false;
-        
-        // Validate data types and ranges
-        if (typeof nodeData.metrics.blockHeight !== 'number' || nodeData.metrics.blockHeight < 0) return false;
-        if (typeof nodeData.metrics.tps !== 'number' || nodeData.metrics.tps < 0) return false;
-        if (typeof nodeData.metrics.responseTime !== 'number' || nodeData.metrics.responseTime < 0) return false;
-        if (typeof nodeData.metrics.health !== 'string') return false;
-        
-        return true;
+        this.roundState = new RoundStateStore(namespaceWrapper, { retention: config.roundRetention });
     }
 
     async validateSubmission(submissionData) {
@@ -26,24 +13,8 @@ class Submission {
             // Check if submission exists
             if (!submissionData) return false;
             
-            // Validate submission structure
-            if (!submissionData.timestamp || !submissionData.round || !Array.isArray(submissionData.nodes)) {
-                return false;
-            }
-            
-            // Validate each node's data
-            for (const node of submissionData.nodes) {
-                if (!await this.validateNode(node)) {
-                    return false;
-                }
-            }
-            
-            // Validate network score
-            if (typeof submissionData.networkScore !== 'number' || 
-                submissionData.networkScore < 0 || 
-                submissionData.networkScore > 100) {
-                return false;
-            }
+            // Structure, node fields and network score come from the shared schema
+            parsePayload(submissionData);
             
             // Validate timestamp is recent (within last hour)
             const now = Date.now();
@@ -53,15 +24,15 @@ class Submission {
             
             return true;
         } catch (error) {
-            console.error('Error validating submission:', error);
+            console.error('Error validating submission:', error.message);
             return false;
         }
     }
 
     async submitTask(roundNumber) {
         try {
-            // Get stored results from the round
-            const submissionData = await this.namespace.getTaskSubmission(roundNumber);
+            // Get the results the task stored for the round
+            const submissionData = await this.roundState.get('status', roundNumber);
             
             if (!submissionData) {
                 throw new Error('No submission data found for round ' + roundNumber);
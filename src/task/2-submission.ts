@@ -1,20 +1,38 @@
 import { namespaceWrapper } from "@_koii/namespace-wrapper";
+import { getConfig } from "../lib/config";
+import { RoundStateStore } from "../lib/round-state";
+import { createContentStore, putPayload } from "../lib/content-store";
+import { signSubmission } from "../lib/signing";
+import { parsePayload } from "../lib/schema";
+
+// Payloads go to the content-addressed store, only {cid, hash} goes on-chain
+const config = getConfig();
+const contentStore = createContentStore(config.submissionStore);
+const roundState = new RoundStateStore(namespaceWrapper, { retention: config.roundRetention });
 
 export async function submission(roundNumber: number): Promise<boolean> {
   try {
     // Get stored results
-    const results = await namespaceWrapper.storeGet(`node_status_${roundNumber}`);
+    const results = await roundState.get("status", roundNumber);
     
     if (!results) {
       console.error('No results found for submission');
       return false;
     }
 
-    // Submit results to the network
+    // Never upload a payload audits would reject
+    const pointer = await putPayload(contentStore, parsePayload(results));
+    console.log(`Stored round ${roundNumber} payload as ${pointer.cid}`);
+
+    // Sign the pointer with the staking keypair so audits can tell who produced it
+    const signed = await signSubmission(namespaceWrapper, pointer, roundNumber);
+
+    // Submit the signed pointer to the network
     await namespaceWrapper.submitTask({
       roundNumber: roundNumber,
-      taskOutput: results,
+      taskOutput: JSON.stringify(signed),
     });
+    await roundState.put("submission", roundNumber, signed);
 
     console.log('Successfully submitted results for round', roundNumber);
     return true;
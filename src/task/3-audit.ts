@@ -1,72 +1,112 @@
-interface NodeStatus {
-  endpoint: string;
-  blockHeight: number;
-  responseTime: number;
-  timestamp: number;
-  gasPrice: string;
-  peerCount: number;
-  isResponding: boolean;
+import { namespaceWrapper } from "@_koii/namespace-wrapper";
+import { getConfig } from "../lib/config";
+import { createChainAdapter } from "../lib/chains";
+import { AuditEngine } from "../lib/audit-engine";
+import { buildConsensus, formatConsensus, loadRoundSubmissions } from "../lib/consensus";
+import { createContentStore, fetchVerified } from "../lib/content-store";
+import { EndpointDiscovery } from "../lib/discovery";
+import { NodeMetrics } from "../lib/node-metrics";
+import { Reprober } from "../lib/reprobe";
+import { RoundAuditor } from "../lib/round-audit";
+import { verifySubmission } from "../lib/signing";
+import { parsePayload } from "../lib/schema";
+import type { RoundSummary } from "../lib/monitor";
+
+const config = getConfig();
+const adapter = createChainAdapter(config.chain);
+const contentStore = createContentStore(config.submissionStore);
+const engine = new AuditEngine({ slotTime: adapter.slotTime, tolerances: config.auditTolerances });
+const reprober = new Reprober({
+  // Same probe as the task, the WebSocket probe adds nothing to the compared metrics
+  nodeMetrics: new NodeMetrics({
+    adapter,
+    scoring: config.scoring,
+    alertThresholds: config.alertThresholds,
+    latency: config.latency,
+    probePolicy: config.probe,
+  }),
+  engine,
+  sampleSize: config.auditReprobeSample,
+});
+
+// Only the endpoints this node monitors itself are re-probed, never the urls
+// a submission names. Discovered ones are read fresh from the task's store.
+async function knownEndpoints() {
+  if (!config.discovery.enabled) return config.endpoints;
+  const discovery = new EndpointDiscovery(namespaceWrapper, config.discovery);
+  await discovery.load();
+  return discovery.endpoints(config.endpoints);
 }
 
-interface StatusSummary {
-  timestamp: number;
-  roundNumber: number;
-  nodes: NodeStatus[];
-  networkStats: {
-    activeNodes: number;
-    averageGasPrice: number;
-    highestBlock: number;
-  };
+const roundAuditor = new RoundAuditor({
+  wrapper: namespaceWrapper,
+  loadSubmissions: (round: number) => loadRoundSubmissions(namespaceWrapper, contentStore, round),
+  engine,
+  reprober,
+  knownEndpoints,
+  copycat: config.copycat,
+});
+
+// The network's combined view of every endpoint, with the observers that
+// disagreed with it, logged once per round from the submissions the audit loaded
+let consensusRound: number | null = null;
+async function logConsensus(roundNumber: number) {
+  if (consensusRound === roundNumber) return;
+  consensusRound = roundNumber;
+  const submissions = await roundAuditor.submissionsOf(roundNumber);
+  for (const line of formatConsensus(buildConsensus(roundNumber, submissions, engine))) {
+    await namespaceWrapper.logger("log", line);
+  }
 }
 
-export async function audit(submissionValue: string): Promise<{ isValid: boolean; score: number }> {
+export async function audit(
+  submissionValue: string,
+  roundNumber: number,
+  submitterKey: string,
+): Promise<{ isValid: boolean; score: number }> {
   try {
-    const status: StatusSummary = JSON.parse(submissionValue);
-    
-    // Validation checks
+    // The submission is a {cid, hash} pointer signed by the submitter for this round
+    const pointer = await verifySubmission(namespaceWrapper, JSON.parse(submissionValue), roundNumber, submitterKey);
+
+    // The payload must match both the CID and the signed hash, and the schema.
+    // Payloads of the previous schema version are migrated.
+    const status: RoundSummary = parsePayload(await fetchVerified(contentStore, pointer));
+    const respondingNodes = status.nodes.filter((node) => node.metrics.isResponding);
+
+    // Preconditions, a submission failing any of them is not worth comparing.
+    // Which endpoints it covers is up to its operator (K2_ENDPOINTS,
+    // NETWORK_TYPES), the engine only compares the endpoints nodes share.
     const checks = {
-      // Check if we have data for all nodes
-      hasAllNodes: status.nodes.length === 3,
-      
+      // Check the submission was made for the chain this task monitors
+      sameChain: status.chain === adapter.name,
+
       // Check if at least one node is responding
       hasActiveNodes: status.networkStats.activeNodes > 0,
-      
-      // Check if block heights are reasonable (greater than 0 for responding nodes)
-      validBlockHeights: status.nodes
-        .filter(node => node.isResponding)
-        .every(node => node.blockHeight > 0),
-      
-      // Check if gas prices are reasonable (between 0.1 and 10000 gwei)
-      validGasPrices: status.nodes
-        .filter(node => node.isResponding)
-        .every(node => {
-          const price = parseFloat(node.gasPrice);
-          return price >= 0.1 && price <= 10000;
-        }),
-      
+
+      // Chain specific plausibility (gas price, version, ...)
+      validChainData: respondingNodes.every((node) =>
+        adapter.validate({ ...node.metrics, details: node.details }),
+      ),
+
       // Check if timestamps are recent (within last hour)
       validTimestamp: Math.abs(Date.now() - status.timestamp) < 3600000,
-      
-      // Check if responding nodes have peers
-      validPeerCounts: status.nodes
-        .filter(node => node.isResponding)
-        .every(node => node.peerCount > 0)
     };
-
-    // Calculate score based on number of passing checks
-    const passedChecks = Object.values(checks).filter(check => check === true).length;
-    const score = passedChecks / Object.keys(checks).length;
-    
-    // Submission is valid if score is above 0.7 (at least 70% of checks pass)
-    const isValid = score >= 0.7;
-
     console.log('Audit checks:', checks);
-    console.log('Score:', score);
-    console.log('Submission valid:', isValid);
+    if (!Object.values(checks).every(Boolean)) {
+      return { isValid: false, score: 0 };
+    }
+
+    // Judge every reported metric against the other submissions of the round
+    // and our own re-probes
+    const verdict = await roundAuditor.audit({ ...status, submitter: submitterKey }, roundNumber);
+    await logConsensus(roundNumber);
+    const isValid = verdict.score >= config.auditMinScore;
+    console.log(`Submission of ${submitterKey} scored ${verdict.score.toFixed(1)}, valid: ${isValid}`);
 
+    // Scores are reported as 0-1
     return {
       isValid,
-      score
+      score: verdict.score / 100,
     };
   } catch (error) {
     console.error('Error in audit:', error);
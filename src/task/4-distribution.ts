@@ -1,7 +1,63 @@
-// Define the percentage by which to slash the stake of submitters who submitted incorrect values
-// 0.7 = 70%
 import { Submitter, DistributionList } from "@_koii/task-manager";
-const SLASH_PERCENT = 0.7;
+import { namespaceWrapper } from "@_koii/namespace-wrapper";
+import { getConfig } from "../lib/config";
+import { createChainAdapter } from "../lib/chains";
+import { createContentStore } from "../lib/content-store";
+import { AuditEngine } from "../lib/audit-engine";
+import { distributeRewards, roundQualities } from "../lib/distribution";
+import { SlashingPolicy } from "../lib/slashing";
+import { DistributionAuditor, voteHistory } from "../lib/distribution-audit";
+
+const config = getConfig();
+const contentStore = createContentStore(config.submissionStore);
+const engine = new AuditEngine({
+  slotTime: createChainAdapter(config.chain).slotTime,
+  tolerances: config.auditTolerances,
+});
+// Offense history of every submitter, kept in namespace storage and caught
+// up from the on-chain audit votes of rounds this node didn't count
+const slashing = new SlashingPolicy(namespaceWrapper, config.slashing);
+
+/**
+ * Build the reward list for a given round from what is on-chain (submitters,
+ * votes, earlier audit votes) and the stored offense history. The round's
+ * offenses are counted once however often it is built, and no decisions are
+ * logged, so the distribution audit can rebuild any node's list with it
+ */
+export const makeDistributionList = async (
+  submitters: Submitter[],
+  bounty: number,
+  roundNumber: number
+): Promise<{ list: DistributionList; decisions: Awaited<ReturnType<SlashingPolicy["decideRound"]>> }> => {
+  const list: DistributionList = {};
+  const approvedSubmitters: Submitter[] = [];
+  // Warn or slash submitters who submitted incorrect values, depending on
+  // their earlier offenses, and make a list of submitters who submitted correct values
+  const submissionInfo = await namespaceWrapper.getTaskSubmissionInfo(roundNumber);
+  const decisions = await slashing.decideRound(roundNumber, submitters, voteHistory(submissionInfo, roundNumber));
+  for (const submitter of submitters) {
+    if (submitter.votes === 0) {
+      list[submitter.publicKey] = 0;
+    } else if (submitter.votes < 0) {
+      const slashedStake = Math.floor((submitter.stake * decisions[submitter.publicKey]!.percent) / 100);
+      list[submitter.publicKey] = slashedStake > 0 ? -slashedStake : 0;
+    } else {
+      approvedSubmitters.push(submitter);
+    }
+  }
+  if (approvedSubmitters.length === 0) {
+    return { list, decisions };
+  }
+  // reward the submitters who submitted correct values, weighted by the
+  // configured mode; the rewards never add up to more than the bounty
+  const { mode, stakeCap } = config.distribution;
+  const qualities =
+    mode === "equal"
+      ? {}
+      : await roundQualities(namespaceWrapper, contentStore, engine, roundNumber, config.copycat);
+  Object.assign(list, distributeRewards(approvedSubmitters, bounty, { mode, stakeCap, qualities }));
+  return { list, decisions };
+};
 
 export const distribution = async (
   submitters: Submitter[],
@@ -14,30 +70,44 @@ export const distribution = async (
    * and the reward amount as values
    */
   console.log(`MAKE DISTRIBUTION LIST FOR ROUND ${roundNumber}`);
-  const distributionList: DistributionList = {};
-  const approvedSubmitters = [];
-  // Slash the stake of submitters who submitted incorrect values
-  // and make a list of submitters who submitted correct values
+  const { list, decisions } = await makeDistributionList(submitters, bounty, roundNumber);
   for (const submitter of submitters) {
-    if (submitter.votes === 0) {
-      distributionList[submitter.publicKey] = 0;
-    } else if (submitter.votes < 0) {
-      const slashedStake = submitter.stake * SLASH_PERCENT;
-      distributionList[submitter.publicKey] = -slashedStake;
-      console.log("CANDIDATE STAKE SLASHED", submitter.publicKey, slashedStake);
-    } else {
-      approvedSubmitters.push(submitter.publicKey);
+    const decision = decisions[submitter.publicKey]!;
+    await namespaceWrapper.logger(
+      decision.action === "none" ? "log" : "warn",
+      `Round ${roundNumber} ${decision.action} ${submitter.publicKey}: ${decision.reason}`,
+    );
+    if (list[submitter.publicKey]! < 0) {
+      console.log("CANDIDATE STAKE SLASHED", submitter.publicKey, -list[submitter.publicKey]!);
     }
   }
-  if (approvedSubmitters.length === 0) {
+  if (!submitters.some((submitter) => submitter.votes > 0)) {
     console.log("NO NODES TO REWARD");
-    return distributionList;
+  } else {
+    console.log(`REWARDS (${config.distribution.mode})`, list);
   }
-  // reward the submitters who submitted correct values
-  const reward = Math.floor(bounty / approvedSubmitters.length);
-  console.log("REWARD PER NODE", reward);
-  approvedSubmitters.forEach((candidate) => {
-    distributionList[candidate] = reward;
-  });
-  return distributionList;
+  return list;
 }
+
+// Rebuilds another node's list with makeDistributionList and votes on it,
+// without logging slashing decisions for rounds it doesn't distribute. The
+// round is counted into this node's offense history all the same, so every
+// node's history follows every round
+const auditor = new DistributionAuditor({
+  wrapper: namespaceWrapper,
+  distribute: async (submitters: Submitter[], bounty: number, roundNumber: number) =>
+    (await makeDistributionList(submitters, bounty, roundNumber)).list,
+  tolerance: config.distribution.auditTolerance,
+});
+
+export const auditDistribution = async (
+  distributionSubmitter: string,
+  roundNumber: number
+): Promise<boolean> => {
+  try {
+    return await auditor.audit(distributionSubmitter, roundNumber);
+  } catch (error) {
+    console.error("Error in distribution audit:", error);
+    return false;
+  }
+};
@@ -1,4 +1,43 @@
 import { namespaceWrapper, app } from "@_koii/namespace-wrapper";
+import { getConfig } from "../lib/config";
+import { createChainAdapter } from "../lib/chains";
+import { createContentStore } from "../lib/content-store";
+import { AuditEngine } from "../lib/audit-engine";
+import { buildConsensus, loadRoundSubmissions } from "../lib/consensus";
+import { monitorEvents, parseFilter, formatEvent } from "../lib/event-stream";
+import { RoundStateStore } from "../lib/round-state";
+import { ApiError, ReadApi, errorResponse } from "../lib/read-api";
+import { UptimeLog } from "../lib/uptime";
+import { monitorMetrics } from "../lib/monitor-metrics";
+import { CONTENT_TYPE } from "../lib/prometheus";
+
+const config = getConfig();
+const roundState = new RoundStateStore(namespaceWrapper, { retention: config.roundRetention });
+const contentStore = createContentStore(config.submissionStore);
+const engine = new AuditEngine({
+  slotTime: createChainAdapter(config.chain).slotTime,
+  tolerances: config.auditTolerances,
+});
+const readApi = new ReadApi(roundState, async (round) =>
+  buildConsensus(round, await loadRoundSubmissions(namespaceWrapper, contentStore, round), engine),
+);
+const uptimeLog = new UptimeLog(namespaceWrapper, config.uptime);
+
+// Comment line sent on idle streams so proxies don't close them
+const HEARTBEAT_MS = 15000;
+
+// Sends `{ data, meta? }` or the error envelope of read-api.js
+function handle(read: (req: any) => Promise<object>) {
+  return async (req: any, res: any) => {
+    try {
+      res.status(200).json(await read(req));
+    } catch (error) {
+      const { status, body } = errorResponse(error);
+      res.status(status).json(body);
+    }
+  };
+}
+
 /**
  * 
  * Define all your custom routes here
@@ -12,4 +51,58 @@ export async function routes() {
     console.log("value", value);
     res.status(200).json({ value: value });
   });
+
+  // Normalized node status summary stored by the task for a round, the bare
+  // summary as before /api/rounds/:round, errors in the read API's envelope
+  app.get("/status/:round", handle(async (req) => (await readApi.round(req.params.round)).data));
+
+  // Prometheus scrape target, updated on every task run
+  app.get("/metrics", (_req, res) => {
+    res.set("Content-Type", CONTENT_TYPE);
+    res.status(200).send(monitorMetrics.render());
+  });
+
+  // Read API for dashboards, list routes take offset and limit
+  app.get("/api/rounds", handle((req) => readApi.rounds(req.query)));
+  app.get("/api/rounds/latest", handle(() => readApi.latest()));
+  app.get("/api/rounds/:round", handle((req) => readApi.round(req.params.round)));
+  // All submissions of the round on K2 merged per endpoint
+  app.get("/api/rounds/:round/consensus", handle((req) => readApi.consensus(req.params.round)));
+  app.get("/api/endpoints", handle((req) => readApi.endpoints(req.query)));
+  // The endpoint url is URI encoded, e.g. /api/endpoints/https%3A%2F%2Fk2-mainnet.koii.live/history
+  app.get("/api/endpoints/:endpoint/history", handle((req) => readApi.history(req.params.endpoint, req.query)));
+
+  // Uptime, outages and MTTR over 24h, 7d and 30d, see uptime.js
+  app.get("/api/uptime", handle(async () => ({ data: await uptimeLog.report() })));
+  app.get("/api/endpoints/:endpoint/uptime", handle(async (req) => {
+    const { generatedAt, availability, endpoints } = await uptimeLog.report();
+    const entry = endpoints.find((e) => e.endpoint === req.params.endpoint);
+    if (!entry) {
+      throw new ApiError(404, "not_found", `No uptime history for endpoint ${req.params.endpoint}`);
+    }
+    return { data: { generatedAt, availability, ...entry } };
+  }));
+
+  // Server-Sent Events: `status` per endpoint and round, `issue` when one is
+  // raised or resolved. Filter with ?endpoint=&network= (comma separated),
+  // reconnecting clients get the buffered events after their Last-Event-ID.
+  app.get("/api/stream", (req, res) => {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.status(200);
+    res.flushHeaders();
+
+    const lastEventId = req.get("Last-Event-ID") ?? req.query.lastEventId;
+    const unsubscribe = monitorEvents.subscribe(parseFilter(req.query), lastEventId, (event) => {
+      res.write(formatEvent(event));
+    });
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_MS);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  });
 }
@@ -1,81 +1,30 @@
-import { Connection, PublicKey, clusterApiUrl } from '@solana/web3.js';
-import fetch from 'node-fetch';
+import { getConfig } from '../lib/config.js';
+import { K2Adapter } from '../lib/chains/k2.js';
+import { formatMethods } from '../lib/rpc-timing.js';
+import { ProbeBudget } from '../lib/request-policy.js';
+import { EndpointDiscovery } from '../lib/discovery.js';
 
-// Configuration
-const CONFIG = {
-    checkInterval: 30, // seconds between checks
-    alertThresholds: {
-        responseTime: 3000, // ms
-        blockStall: 60, // seconds without new blocks
-        minStake: 1, // minimum stake in KOII
-        maxTransactionCost: 0.1 // maximum transaction cost in KOII
-    }
-};
+const CONFIG = getConfig();
+const K2_NODES = CONFIG.endpoints;
 
-// K2 Network RPC endpoints
-const K2_NODES = [
-    'https://k2-mainnet.koii.live',
-    'https://k2-testnet.koii.live',
-    // Add more K2 nodes as they become available
-];
+// Discovered endpoints only live as long as the process here
+const discovery = CONFIG.discovery.enabled ? new EndpointDiscovery(null, CONFIG.discovery) : null;
 
 // Store previous check results for comparison
 let previousCheck = null;
 
-async function checkNodeStatus(endpoint) {
-    const startTime = Date.now();
-    try {
-        const connection = new Connection(endpoint);
-        
-        // Make all requests in parallel for efficiency
-        const [
-            blockHeight,
-            supply,
-            health,
-            version,
-            performance
-        ] = await Promise.all([
-            connection.getSlot(),
-            connection.getSupply(),
-            fetch(`${endpoint}/health`).then(res => res.ok),
-            connection.getVersion(),
-            connection.getRecentPerformanceSamples(1)
-        ]);
+const adapter = new K2Adapter();
 
-        // Get recent block info
-        const block = await connection.getConfirmedBlock(blockHeight);
-        
-        return {
-            endpoint,
-            blockHeight,
-            responseTime: Date.now() - startTime,
-            timestamp: Date.now(),
-            totalSupply: supply.total,
-            circulatingSupply: supply.circulating,
-            tps: performance[0]?.numTransactions / performance[0]?.samplePeriodSecs || 0,
-            version: version['solana-core'],
-            isResponding: true,
-            health: health ? 'healthy' : 'unhealthy',
-            transactions: block.transactions.length,
-            averageFee: block.transactions.reduce((acc, tx) => acc + (tx.meta?.fee || 0), 0) / block.transactions.length / 1e9 // Convert lamports to KOII
-        };
-    } catch (error) {
-        console.error(`\n⚠️ Error checking node ${endpoint}:`, error.message);
-        return {
-            endpoint,
-            blockHeight: 0,
-            responseTime: -1,
-            timestamp: 0,
-            totalSupply: 0,
-            circulatingSupply: 0,
-            tps: 0,
-            version: 'unknown',
-            isResponding: false,
-            health: 'offline',
-            transactions: 0,
-            averageFee: 0
-        };
-    }
+async function getNodes() {
+    if (!discovery) return K2_NODES;
+    await discovery.refresh(K2_NODES, url => adapter.discoverEndpoints(url, new ProbeBudget(CONFIG.probe)));
+    return discovery.endpoints(K2_NODES);
+}
+
+async function checkNodeStatus(endpoint) {
+    const status = await adapter.check(endpoint, new ProbeBudget(CONFIG.probe));
+    // Flatten the K2 specific values for printing
+    return { ...status, ...status.details };
 }
 
 function detectIssues(currentStatus, previousStatus) {
@@ -130,18 +79,20 @@ function printStatusUpdate(results, previousResults) {
 
     console.log(`\n🔄 Koii K2 Network Monitor - ${new Date().toLocaleString()}`);
     console.log('==========================================');
-    console.log(`🟢 Active Nodes: ${summary.networkStats.activeNodes}/${K2_NODES.length}`);
+    console.log(`🟢 Active Nodes: ${summary.networkStats.activeNodes}/${results.length}`);
     console.log(`⚡ Total Network TPS: ${summary.networkStats.totalTps.toFixed(2)}`);
     console.log(`💰 Average Fee: ${summary.networkStats.averageFee.toFixed(6)} KOII`);
     console.log(`📦 Highest Block: ${summary.networkStats.highestBlock.toLocaleString()}\n`);
     
     console.log('📝 Node Status');
     console.log('============');
-    results.forEach((node, index) => {
-        const prev = previousResults ? previousResults[index] : null;
-        const shortEndpoint = node.endpoint.replace('https://', '');
+    results.forEach(node => {
+        // Discovered endpoints come and go, so match the previous result by url
+        const prev = previousResults ? previousResults.find(p => p.endpoint === node.endpoint) || null : null;
+        const shortEndpoint = node.endpoint.replace(/^https?:\/\//, '');
         
-        console.log(`\n${node.isResponding ? '🟢' : '🔴'} ${shortEndpoint}`);
+        const statusIcon = !node.isResponding ? '🔴' : node.health === 'degraded' ? '🟡' : '🟢';
+        console.log(`\n${statusIcon} ${shortEndpoint}${node.source === 'discovered' ? ' (discovered)' : ''}`);
         if (node.isResponding) {
             // Show block height with change indicator
             const blockChange = prev && prev.isResponding 
@@ -162,6 +113,10 @@ function printStatusUpdate(results, previousResults) {
             console.log(`   Recent Transactions: ${node.transactions}`);
             console.log(`   Average Fee: ${node.averageFee.toFixed(6)} KOII`);
             
+            // Show per method timing so a slow or failing call stands out
+            console.log('   RPC Methods:');
+            formatMethods(node.methods).forEach(line => console.log(`     ${line}`));
+            
             // Show any detected issues
             const issues = detectIssues(node, prev);
             if (issues.length > 0) {
@@ -170,6 +125,10 @@ function printStatusUpdate(results, previousResults) {
             }
         } else {
             console.log('   Status: Offline');
+            if (node.error) {
+                console.log(`   Error: ${node.error}`);
+            }
+            formatMethods(node.methods).forEach(line => console.log(`     ${line}`));
         }
     });
     
@@ -180,7 +139,8 @@ function printStatusUpdate(results, previousResults) {
 async function monitorNodes() {
     try {
         while (true) {
-            const results = await Promise.all(K2_NODES.map(node => checkNodeStatus(node)));
+            const nodes = await getNodes();
+            const results = await Promise.all(nodes.map(node => checkNodeStatus(node)));
             printStatusUpdate(results, previousCheck);
             await new Promise(resolve => setTimeout(resolve, CONFIG.checkInterval * 1000));
         }
@@ -1,86 +1,89 @@
-const { Connection, clusterApiUrl } = require('@solana/web3.js');
-const fetch = require('node-fetch');
+import fetch from 'node-fetch';
+import { namespaceWrapper } from '@_koii/namespace-wrapper';
+import { k2Connection, K2Adapter } from '../lib/chains/k2.js';
+import { ProbeBudget } from '../lib/request-policy.js';
+import { getConfig } from '../lib/config.js';
+import { timeCalls, failedMethods, formatMethods } from '../lib/rpc-timing.js';
+import { EndpointDiscovery } from '../lib/discovery.js';
+import { summarizeValidators, ValidatorTracker } from '../lib/validators.js';
 
-// Configuration
-const CONFIG = {
-    checkInterval: 15, // seconds between checks (reduced from 30)
-    alertThresholds: {
-        responseTime: 5000, // ms
-        blockStall: 60,    // seconds
-        minPeers: 2,
-        maxFee: 100        // KOII
-    }
-};
+const CONFIG = getConfig();
 
-// K2 Network RPC endpoints
-const K2_NODES = [
-    // Main K2 endpoints
-    'https://k2.koii.live',
-    'https://k2-main.koii.live',
-    'https://k2-mainnet.koii.network',
-    
-    // Testnet endpoints
-    'https://k2-testnet.koii.live',
-    'https://k2-testnet.koii.network',
-    
-    // Development endpoints
-    'https://k2-devnet.koii.live',
-    'https://k2-dev.koii.network',
-    
-    // Community nodes (these are example URLs, replace with actual community node URLs)
-    'https://k2-community-1.koii.live',
-    'https://k2-community-2.koii.live',
-    
-    // Backup endpoints
-    'https://k2-backup.koii.live',
-    'https://k2-fallback.koii.network'
-];
+// Discovered endpoints only live as long as the process here
+const discovery = CONFIG.discovery.enabled ? new EndpointDiscovery(null, CONFIG.discovery) : null;
+const adapter = new K2Adapter();
+
+// One tracker per network, fed with the cluster view of one responding node.
+// Their history is kept in the namespace store, so the skip rate keeps
+// accumulating and alerts don't repeat across restarts.
+const validatorTrackers = Object.fromEntries(CONFIG.networks.map(network => [
+    network,
+    new ValidatorTracker(namespaceWrapper, {
+        watch: CONFIG.watchValidators,
+        maxSkipRate: CONFIG.alertThresholds.maxSkipRate,
+        network
+    })
+]));
+
+// Configured endpoints, plus the ones the cluster advertises when discovery is on
+async function getEndpoints() {
+    if (!discovery) return CONFIG.endpoints;
+    await discovery.refresh(CONFIG.endpoints, url => adapter.discoverEndpoints(url, new ProbeBudget(CONFIG.probe)));
+    return discovery.endpoints(CONFIG.endpoints);
+}
 
 // Function to filter active nodes based on network type
-function getNodesForNetwork(networkType) {
-    const nodeMap = {
-        'mainnet': K2_NODES.filter(n => n.includes('main') || !n.includes('test') && !n.includes('dev')),
-        'testnet': K2_NODES.filter(n => n.includes('test')),
-        'devnet': K2_NODES.filter(n => n.includes('dev'))
-    };
-    return nodeMap[networkType] || K2_NODES;
+function getNodesForNetwork(endpoints, networkType) {
+    return endpoints.filter(endpoint => endpoint.network === networkType);
 }
 
 async function checkNodeStatus(endpoint) {
     const startTime = Date.now();
     try {
-        // First check if the node is responding to basic requests
-        const healthCheck = await fetch(`${endpoint}/health`).then(res => res.ok).catch(() => false);
-        if (!healthCheck) {
-            throw new Error('Node health check failed');
+        // Every call gets a deadline and bounded retries within the endpoint's budget
+        const budget = new ProbeBudget(CONFIG.probe);
+        const connection = signal => k2Connection(endpoint, signal, 'confirmed');
+        
+        // Enhanced node information collection, timed per RPC method
+        const first = await timeCalls({
+            getHealth: signal => fetch(`${endpoint}/health`, { signal }).then(res => res.ok),
+            getSlot: signal => connection(signal).getSlot(),
+            getEpochInfo: signal => connection(signal).getEpochInfo(),
+            getSupply: signal => connection(signal).getSupply(),
+            getInflationRate: signal => connection(signal).getInflationRate(),
+            getRecentPerformanceSamples: signal => connection(signal).getRecentPerformanceSamples(1),
+            getVersion: signal => connection(signal).getVersion(),
+            getClusterNodes: signal => connection(signal).getClusterNodes(),
+            getBlockProduction: signal => connection(signal).getBlockProduction(),
+            getVoteAccounts: signal => connection(signal).getVoteAccounts()
+        }, budget);
+        
+        // Without a slot there is nothing to report on
+        if (!first.methods.getSlot.ok) {
+            const error = new Error(`getSlot: ${first.methods.getSlot.error}`);
+            error.methods = first.methods;
+            throw error;
         }
-
-        const connection = new Connection(endpoint, 'confirmed');
         
-        // Enhanced node information collection
-        const [
-            slot,
-            epoch,
-            blockTime,
-            supply,
-            inflation,
-            recentPerf,
-            version,
-            clusterNodes,
-            blockProduction,
-            voteAccounts
-        ] = await Promise.all([
-            connection.getSlot().catch(() => null),
-            connection.getEpochInfo().catch(() => null),
-            connection.getBlockTime(await connection.getSlot()).catch(() => null),
-            connection.getSupply().catch(() => null),
-            connection.getInflationRate().catch(() => null),
-            connection.getRecentPerformanceSamples(1).catch(() => []),
-            connection.getVersion().catch(() => null),
-            connection.getClusterNodes().catch(() => []),
-            connection.getBlockProduction().catch(() => null),
-            connection.getVoteAccounts().catch(() => null)
-        ]);
+        const second = await timeCalls({
+            getBlockTime: signal => connection(signal).getBlockTime(first.values.getSlot)
+        }, budget);
+        const methods = { ...first.methods, ...second.methods };
+        const degradedMethods = failedMethods(methods);
+        
+        const {
+            getHealth: healthy,
+            getSlot: slot,
+            getEpochInfo: epoch,
+            getSupply: supply,
+            getInflationRate: inflation,
+            getVersion: version,
+            getBlockProduction: blockProduction,
+            getVoteAccounts: voteAccounts
+        } = first.values;
+        const recentPerf = first.values.getRecentPerformanceSamples || [];
+        const clusterNodes = first.values.getClusterNodes || [];
+        const blockTime = second.values.getBlockTime;
 
         // Calculate detailed metrics
         const perfSample = recentPerf[0] || {};
@@ -100,6 +103,11 @@ async function checkNodeStatus(endpoint) {
         return {
             endpoint,
             isResponding: true,
+            // Answering getSlot but failing other calls is a partial outage
+            health: healthy === false ? 'unhealthy' : degradedMethods.length > 0 ? 'degraded' : 'healthy',
+            methods,
+            failedMethods: degradedMethods,
+            budget: budget.summary(),
             timestamp: Date.now(),
             responseTime: Date.now() - startTime,
             
@@ -149,6 +157,9 @@ async function checkNodeStatus(endpoint) {
                     ((perfSample.numTransactions - (perfSample.numFailedTransactions || 0)) / perfSample.numTransactions * 100).toFixed(2) : 0
             },
             
+            // Per validator vote and leader slot data
+            validators: summarizeValidators(voteAccounts, blockProduction, slot),
+            
             // Health status
             status: {
                 slot: !!slot,
@@ -164,6 +175,9 @@ async function checkNodeStatus(endpoint) {
         return {
             endpoint,
             isResponding: false,
+            health: 'offline',
+            methods: error.methods || {},
+            failedMethods: failedMethods(error.methods),
             timestamp: Date.now(),
             responseTime: Date.now() - startTime,
             error: error.message
@@ -190,7 +204,7 @@ async function detectIssues(currentStatus, previousStatus) {
         // }
         
         // Check for fee spikes
-        // if (parseFloat(currentStatus.averageFee) > CONFIG.alertThresholds.maxFee) {
+        // if (parseFloat(currentStatus.averageFee) > CONFIG.alertThresholds.maxTransactionCost) {
         //     issues.push(`⚠️ High average fee: ${currentStatus.averageFee} KOII`);
         // }
     }
@@ -218,7 +232,7 @@ async function printStatusUpdate(results, previousResults) {
 
     console.log(`\n🔄 Koii K2 Node Monitor - ${new Date().toLocaleString()}`);
     console.log('=====================================');
-    console.log(`🟢 Active Nodes: ${summary.networkStats.activeNodes}/${K2_NODES.length}`);
+    console.log(`🟢 Active Nodes: ${summary.networkStats.activeNodes}/${CONFIG.endpoints.length}`);
     console.log(`⚡ Total Network TPS: ${summary.networkStats.totalTps.toFixed(2)}`);
     // console.log(`💰 Average Fee: ${summary.networkStats.averageFee.toFixed(6)} KOII`);
     console.log('\n');
@@ -272,6 +286,9 @@ async function printStatusUpdate(results, previousResults) {
             console.log(`   • Validator Info: ${node.status.validators ? '✅' : '❌'}`);
             console.log(`   • Performance Data: ${node.status.performance ? '✅' : '❌'}`);
             
+            console.log('\n   🔌 RPC Methods:');
+            formatMethods(node.methods).forEach(line => console.log(`   • ${line}`));
+            
             // Show any detected issues
             const issues = detectIssues(node, prev);
             if (issues.length > 0) {
@@ -291,30 +308,63 @@ async function printStatusUpdate(results, previousResults) {
     previousCheck = results;
 }
 
+// Validator view of a network, taken from the first node that answered both
+// getVoteAccounts and getBlockProduction
+async function printValidators(network, nodes) {
+    const source = nodes.find(node =>
+        node.isResponding && node.status.validators && node.status.epoch && !node.failedMethods.includes('getBlockProduction')
+    );
+    if (!source) return;
+    
+    const tracker = validatorTrackers[network];
+    const { events, alerts } = await tracker.update(source.epoch, source.validators);
+    const delinquent = source.validators.filter(v => v.delinquent);
+    
+    console.log(`\n🛡️ K2 ${network.toUpperCase()} Validators (epoch ${source.epoch}, via ${source.endpoint.replace(/^https?:\/\//, '')})`);
+    console.log('============================');
+    console.log(`   • Active: ${source.validators.length - delinquent.length}`);
+    console.log(`   • Delinquent: ${delinquent.length}`);
+    
+    for (const identity of CONFIG.watchValidators) {
+        const validator = source.validators.find(v => v.identity === identity);
+        if (!validator) continue;
+        const totals = tracker.totals(identity);
+        console.log(`\n   ${validator.delinquent ? '🔴' : '🟢'} ${identity}`);
+        console.log(`   • Last Vote Lag: ${validator.lastVoteLag ?? 'N/A'} slots`);
+        console.log(`   • Commission: ${validator.commission}%`);
+        console.log(`   • Stake: ${validator.activatedStake.toFixed(2)} KOII`);
+        console.log(`   • Leader Slots (epoch): ${validator.blocksProduced}/${validator.leaderSlots} produced`);
+        console.log(`   • Skip Rate (tracked epochs): ${totals.skipRate === null ? 'N/A' : `${totals.skipRate.toFixed(1)}%`}`);
+    }
+    
+    if (events.length > 0) {
+        console.log('\n   🔁 Changes:');
+        events.forEach(event => console.log(`   • ${event}`));
+    }
+    if (alerts.length > 0) {
+        console.log('\n   🚨 Alerts:');
+        alerts.forEach(alert => console.log(`   ⚠️ ${alert}`));
+    }
+}
+
 async function main() {
     try {
         console.log('\n🔍 Starting Koii K2 Node Status Check...\n');
         
-        // Get nodes for each network type
-        const mainnetNodes = getNodesForNetwork('mainnet');
-        const testnetNodes = getNodesForNetwork('testnet');
-        const devnetNodes = getNodesForNetwork('devnet');
-        
-        // Check all nodes in parallel
-        const allPromises = [
-            ...mainnetNodes.map(node => checkNodeStatus(node).then(result => ({...result, network: 'mainnet'}))),
-            ...testnetNodes.map(node => checkNodeStatus(node).then(result => ({...result, network: 'testnet'}))),
-            ...devnetNodes.map(node => checkNodeStatus(node).then(result => ({...result, network: 'devnet'}))),
-        ];
+        // Check the nodes of every configured network in parallel
+        const endpoints = await getEndpoints();
+        const allPromises = CONFIG.networks.flatMap(network =>
+            getNodesForNetwork(endpoints, network).map(node =>
+                checkNodeStatus(node.url).then(result => ({...result, network, source: node.source || 'configured'}))
+            )
+        );
         
         const results = await Promise.all(allPromises);
         
         // Group results by network
-        const networkResults = {
-            mainnet: results.filter(r => r.network === 'mainnet'),
-            testnet: results.filter(r => r.network === 'testnet'),
-            devnet: results.filter(r => r.network === 'devnet')
-        };
+        const networkResults = Object.fromEntries(
+            CONFIG.networks.map(network => [network, results.filter(r => r.network === network)])
+        );
         
         // Print summary for each network
         for (const [network, nodes] of Object.entries(networkResults)) {
@@ -332,8 +382,9 @@ async function main() {
             console.log('\n📝 Node Status');
             console.log('============');
             nodes.forEach(node => {
-                const shortEndpoint = node.endpoint.replace('https://', '');
-                console.log(`\n${node.isResponding ? '🟢' : '🔴'} ${shortEndpoint}`);
+                const shortEndpoint = node.endpoint.replace(/^https?:\/\//, '');
+                const statusIcon = !node.isResponding ? '🔴' : node.health === 'degraded' ? '🟡' : '🟢';
+                console.log(`\n${statusIcon} ${shortEndpoint}${node.source === 'discovered' ? ' (discovered)' : ''}`);
                 
                 if (node.isResponding) {
                     // Basic Info
@@ -366,12 +417,24 @@ async function main() {
                     console.log(`   • Transaction Count: ${node.performance.txCount.toLocaleString()}`);
                     console.log(`   • Failed Transactions: ${node.performance.failedTx.toLocaleString()}`);
                     console.log(`   • Success Rate: ${node.performance.successRate}%`);
+                    
+                    // Per method timing and errors
+                    console.log('\n   🔌 RPC Methods:');
+                    formatMethods(node.methods).forEach(line => console.log(`   • ${line}`));
                 } else {
                     console.log('   Status: Offline');
+                    if (node.error) {
+                        console.log(`   ⚠️ Error: ${node.error}`);
+                    }
+                    formatMethods(node.methods).forEach(line => console.log(`   • ${line}`));
                 }
             });
         }
         
+        for (const [network, nodes] of Object.entries(networkResults)) {
+            await printValidators(network, nodes);
+        }
+        
         console.log(`\n⏰ Next update in ${CONFIG.checkInterval} seconds...\n`);
         
     } catch (error) {
@@ -0,0 +1,45 @@
+import { formatUptimeReport } from '../lib/uptime.js';
+
+// Prints the uptime report of a running task node. The history lives in the
+// node's namespace store, so the report is read through its /api/uptime route.
+//
+//   node src/task/uptime-report.js <task url> [endpoint] [--json]
+//
+// e.g. node src/task/uptime-report.js http://localhost:30017/task/<task id>
+// The task url can also be set with UPTIME_REPORT_URL.
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const [taskUrl = process.env.UPTIME_REPORT_URL, endpoint] = args.filter(arg => arg !== '--json');
+
+async function main() {
+    if (!taskUrl) {
+        console.error('Usage: node src/task/uptime-report.js <task url> [endpoint] [--json]');
+        process.exit(2);
+    }
+
+    const res = await fetch(`${taskUrl.replace(/\/+$/, '')}/api/uptime`);
+    const body = await res.json();
+    if (!res.ok) {
+        throw new Error(`${res.status} ${body.error?.message || res.statusText}`);
+    }
+
+    const report = body.data;
+    if (endpoint) {
+        report.endpoints = report.endpoints.filter(entry => entry.endpoint === endpoint.replace(/\/+$/, ''));
+        if (report.endpoints.length === 0) {
+            throw new Error(`No uptime history for endpoint ${endpoint}`);
+        }
+    }
+
+    if (json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        formatUptimeReport(report).forEach(line => console.log(line));
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Error fetching the uptime report:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,64 @@
+import { AuditEngine, formatVerdict } from "../src/lib/audit-engine";
+import { DEFAULT_AUDIT_TOLERANCES } from "../src/lib/config";
+
+const engine = new AuditEngine({ slotTime: 0.408, tolerances: DEFAULT_AUDIT_TOLERANCES });
+
+function node(blockHeight: number, timestamp: number, overrides: Record<string, unknown> = {}) {
+  return {
+    endpoint: "https://k2-mainnet.koii.live",
+    timestamp,
+    metrics: { blockHeight, tps: 100, peerCount: 10, version: "1.16.0", isResponding: true, ...overrides },
+  };
+}
+
+function submission(submitter: string, nodes: object[]) {
+  return { submitter, nodes } as any;
+}
+
+describe("Consensus audit engine", () => {
+  it("should align peer slots to the reported timestamp before comparing", () => {
+    // Probed 40.8s apart, so 100 slots apart when both are right
+    const [early, late] = engine.judge([
+      submission("a", [node(1000, 0)]),
+      submission("b", [node(1100, 40800)]),
+    ]);
+    expect(early.nodes[0].metrics.blockHeight.ok).toBe(true);
+    expect(early.nodes[0].metrics.blockHeight.reason).toContain("median 1000.00 slots");
+    expect(late.score).toBe(100);
+  });
+
+  it("should fail only the metrics outside their tolerance", () => {
+    const verdicts = engine.judge([
+      submission("honest-1", [node(1000, 0)]),
+      submission("honest-2", [node(1002, 0, { tps: 110 })]),
+      submission("liar", [node(5000, 0, { tps: 400, version: "0.0.1" })]),
+    ]);
+    const liar = verdicts.find((v) => v.submitter === "liar")!;
+    expect(liar.score).toBe(0);
+    expect(liar.nodes[0].metrics.isResponding.ok).toBe(true);
+    expect(liar.nodes[0].metrics.version).toEqual({ ok: false, reason: "reported 0.0.1, 2/3 reports say 1.16.0" });
+    expect(liar.nodes[0].metrics.blockHeight.ok).toBe(false);
+    expect(liar.nodes[0].metrics.tps.ok).toBe(false);
+    expect(liar.nodes[0].metrics.peerCount.ok).toBe(true);
+    expect(verdicts.find((v) => v.submitter === "honest-1")!.score).toBe(100);
+    expect(verdicts.find((v) => v.submitter === "honest-2")!.score).toBe(100);
+  });
+
+  it("should be independent of the submission order", () => {
+    const submissions = [
+      submission("c", [node(1000, 0)]),
+      submission("a", [node(1001, 0, { isResponding: false })]),
+      submission("b", [node(1003, 0)]),
+    ];
+    expect(engine.judge(submissions)).toEqual(engine.judge(submissions.slice().reverse()));
+  });
+
+  it("should leave endpoints nobody else reported unverified", () => {
+    const [verdict] = engine.judge([submission("a", [node(1000, 0)])]);
+    expect(verdict.nodes[0].ok).toBeNull();
+    expect(verdict.score).toBe(100);
+    expect(formatVerdict(verdict)[1]).toBe(
+      "  [UNVERIFIED] https://k2-mainnet.koii.live all SKIP: no other submission reported this endpoint",
+    );
+  });
+});
@@ -0,0 +1,99 @@
+import { AuditEngine } from "../src/lib/audit-engine";
+import { DEFAULT_AUDIT_TOLERANCES } from "../src/lib/config";
+import { buildConsensus, formatConsensus } from "../src/lib/consensus";
+
+const engine = new AuditEngine({ slotTime: 0.408, tolerances: DEFAULT_AUDIT_TOLERANCES });
+
+const MAINNET = "https://k2-mainnet.koii.live";
+const TESTNET = "https://k2-testnet.koii.live";
+
+function node(endpoint: string, blockHeight: number, timestamp: number, overrides: Record<string, unknown> = {}) {
+  return {
+    endpoint,
+    network: endpoint === MAINNET ? "mainnet" : "testnet",
+    timestamp,
+    metrics: {
+      blockHeight,
+      tps: 100,
+      peerCount: 10,
+      version: "1.16.0",
+      isResponding: true,
+      latency: { samples: 5, failed: 0, p50: 100, p95: 200, p99: 250 },
+      ...overrides,
+    },
+  };
+}
+
+function submission(submitter: string, nodes: object[]) {
+  return { submitter, nodes } as any;
+}
+
+describe("Round consensus view", () => {
+  it("should merge every observer's report of an endpoint", () => {
+    const report = buildConsensus(9, [
+      submission("c", [node(MAINNET, 1000, 0, { latency: { samples: 5, failed: 0, p50: 300, p95: 400, p99: 450 } })]),
+      // Probed 40.8s later, so 100 slots further
+      submission("a", [node(MAINNET, 1100, 40800), node(TESTNET, 500, 0)]),
+      submission("b", [node(MAINNET, 1001, 0, { latency: { samples: 5, failed: 0, p50: 120, p95: 200, p99: 250 } })]),
+    ], engine);
+
+    expect(report.round).toBe(9);
+    expect(report.observers).toEqual(["a", "b", "c"]);
+    expect(report.endpoints.map((e) => e.endpoint)).toEqual([MAINNET, TESTNET]);
+
+    const [mainnet, testnet] = report.endpoints;
+    expect(mainnet).toMatchObject({ network: "mainnet", observers: 3, upFraction: 1, status: "up", slotAt: 0, medianSlot: 1000 });
+    expect(mainnet.latency).toEqual({ observers: 3, min: 100, median: 120, max: 300, spread: 200 });
+    expect(mainnet.disagreed).toEqual([]);
+    expect(testnet).toMatchObject({ observers: 1, upFraction: 1, medianSlot: 500, disagreed: [] });
+  });
+
+  it("should list the observers that disagreed with the others", () => {
+    const report = buildConsensus(9, [
+      submission("a", [node(MAINNET, 1000, 0)]),
+      submission("b", [node(MAINNET, 1002, 0)]),
+      submission("c", [node(MAINNET, 5000, 0)]),
+      submission("d", [node(MAINNET, 0, 0, { isResponding: false, latency: null })]),
+    ], engine);
+
+    const [mainnet] = report.endpoints;
+    expect(mainnet.upFraction).toBe(0.75);
+    expect(mainnet.status).toBe("up");
+    expect(mainnet.latency!.observers).toBe(3);
+    expect(mainnet.disagreed.map((d) => d.submitter)).toEqual(["c", "d"]);
+    expect(mainnet.disagreed[0].reasons[0]).toMatch(/^blockHeight: 5000\.00 slots vs median/);
+    expect(mainnet.disagreed[1].reasons).toEqual(["isResponding: reported offline, 3/4 reports say responding"]);
+  });
+
+  it("should call an endpoint split when as many observers saw it up as down", () => {
+    const report = buildConsensus(9, [
+      submission("a", [node(MAINNET, 1000, 0)]),
+      submission("b", [node(MAINNET, 0, 0, { isResponding: false })]),
+    ], engine);
+
+    expect(report.endpoints[0]).toMatchObject({ status: "split", upFraction: 0.5, medianSlot: 1000, disagreed: [] });
+  });
+
+  it("should be independent of the submission order", () => {
+    const submissions = [
+      submission("c", [node(MAINNET, 1000, 0)]),
+      submission("a", [node(MAINNET, 1003, 10, { isResponding: false })]),
+      submission("b", [node(MAINNET, 1001, 5), node(TESTNET, 500, 0)]),
+    ];
+    expect(buildConsensus(9, submissions, engine)).toEqual(buildConsensus(9, submissions.slice().reverse(), engine));
+  });
+
+  it("should format one line per endpoint and dissenting observer", () => {
+    const lines = formatConsensus(buildConsensus(9, [
+      submission("a", [node(MAINNET, 1000, 0)]),
+      submission("b", [node(MAINNET, 1000, 0)]),
+      submission("c", [node(MAINNET, 0, 0, { isResponding: false })]),
+    ], engine));
+
+    expect(lines).toEqual([
+      "Consensus of round 9: 3 observers, 1 endpoints",
+      `  ${MAINNET} UP: 67% of 3 saw it up, median slot 1000, p50 latency 100-100 ms (median 100), 1 disagreed`,
+      "    c: isResponding: reported offline, 2/3 reports say responding",
+    ]);
+  });
+});
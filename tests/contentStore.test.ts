@@ -0,0 +1,88 @@
+import { mkdtempSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import path from "path";
+import {
+  computeCid,
+  createContentStore,
+  FileSystemStore,
+  IpfsStore,
+  putPayload,
+  fetchVerified,
+} from "../src/lib/content-store";
+
+describe("Content-addressed submission store", () => {
+  const dir = mkdtempSync(path.join(tmpdir(), "submissions-"));
+  const store = new FileSystemStore(dir);
+
+  it("should compute the IPFS CIDv1 of a raw block", () => {
+    expect(computeCid("hello world")).toBe("bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e");
+  });
+
+  it("should fetch a stored payload by CID and verify it", async () => {
+    const payload = { round: 7, nodes: [] };
+    const pointer = await putPayload(store, payload);
+    expect(pointer.cid).toBe(computeCid(JSON.stringify(payload)));
+    await expect(fetchVerified(store, pointer)).resolves.toEqual(payload);
+  });
+
+  it("should reject payloads that do not match the pointer", async () => {
+    const pointer = await putPayload(store, { round: 8 });
+    await expect(fetchVerified(store, { ...pointer, hash: "0".repeat(64) })).rejects.toThrow(
+      "does not match the submitted hash",
+    );
+
+    writeFileSync(path.join(dir, pointer.cid), JSON.stringify({ round: 9 }));
+    await expect(fetchVerified(store, pointer)).rejects.toThrow("does not match its CID");
+
+    await expect(fetchVerified(store, { cid: "../../etc/passwd", hash: pointer.hash })).rejects.toThrow(
+      'Invalid CID "../../etc/passwd"',
+    );
+  });
+
+  describe("on IPFS", () => {
+    // Stands in for the IPFS API and gateway, blocks keyed by the CID they hash to
+    function ipfs() {
+      const blocks: Record<string, Buffer> = {};
+      const fetch = jest.fn(async (url: string, init?: { body?: FormData }) => {
+        if (url.startsWith("http://ipfs.local/api/v0/block/put")) {
+          const bytes = Buffer.from(await (init!.body!.get("file") as Blob).arrayBuffer());
+          blocks[computeCid(bytes)] = bytes;
+          return new Response(JSON.stringify({ Key: computeCid(bytes), Size: bytes.length }));
+        }
+        const cid = url.match(/^https:\/\/gateway\.local\/ipfs\/(\w+)\?format=raw$/)?.[1];
+        return cid && blocks[cid] ? new Response(blocks[cid]) : new Response("not found", { status: 404 });
+      });
+      const ipfsStore = createContentStore({
+        backend: "ipfs",
+        dir,
+        ipfsApi: "http://ipfs.local/",
+        gateway: "https://gateway.local",
+        fetch: fetch as unknown as typeof globalThis.fetch,
+      });
+      return { blocks, fetch, ipfsStore };
+    }
+
+    it("should put payloads as raw blocks and fetch them through the gateway", async () => {
+      const { fetch, ipfsStore } = ipfs();
+      expect(ipfsStore).toBeInstanceOf(IpfsStore);
+      const payload = { round: 10, nodes: [] };
+      const pointer = await putPayload(ipfsStore, payload);
+      expect(pointer).toEqual({ cid: computeCid(JSON.stringify(payload)), hash: expect.any(String) });
+      await expect(fetchVerified(ipfsStore, pointer)).resolves.toEqual(payload);
+      expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+        "http://ipfs.local/api/v0/block/put?cid-codec=raw&mhtype=sha2-256&pin=true",
+        `https://gateway.local/ipfs/${pointer.cid}?format=raw`,
+      ]);
+    });
+
+    it("should reject content the gateway serves for another CID", async () => {
+      const { blocks, ipfsStore } = ipfs();
+      const pointer = await putPayload(ipfsStore, { round: 11 });
+      blocks[pointer.cid] = Buffer.from(JSON.stringify({ round: 12 }));
+      await expect(fetchVerified(ipfsStore, pointer)).rejects.toThrow("does not match its CID");
+      await expect(
+        fetchVerified(ipfsStore, { cid: computeCid("missing"), hash: pointer.hash }),
+      ).rejects.toThrow("not found on https://gateway.local (HTTP 404)");
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { applyCopycatPenalty, detectCopycats, formatCluster } from "../src/lib/copycat";
+import { DEFAULT_COPYCAT } from "../src/lib/config";
+
+const endpoints = ["https://a.koii", "https://b.koii", "https://c.koii", "https://d.koii"];
+
+// Independent probes: slot, timestamp and latency all differ a little per submitter
+function probes(offset: number) {
+  return endpoints.map((endpoint, index) => ({
+    endpoint,
+    timestamp: 1_700_000_000_000 + offset * 37 + index * 1000,
+    metrics: {
+      blockHeight: 5000 + index * 3 + offset,
+      tps: 1200,
+      peerCount: 40,
+      responseTime: 80 + offset * 7 + index,
+      isResponding: true,
+      latency: { samples: 5, failed: 0, min: 40 + offset, p50: 50 + offset, p95: 70 + index, p99: 80, max: 90, jitter: 3.2 + offset },
+    },
+  }));
+}
+
+function submission(submitter: string, nodes: object[], timestamp = 1_700_000_060_000) {
+  return { submitter, timestamp, nodes } as any;
+}
+
+describe("Copycat detection", () => {
+  it("should not flag independent submitters", () => {
+    const submissions = [submission("a", probes(0)), submission("b", probes(1)), submission("c", probes(2))];
+    expect(detectCopycats(submissions, DEFAULT_COPYCAT)).toEqual([]);
+  });
+
+  it("should cluster a resubmitted copy with a fresh timestamp", () => {
+    const original = probes(0);
+    const submissions = [
+      submission("honest", probes(1)),
+      submission("original", original),
+      submission("copy", original, 1_700_000_090_000),
+      submission("copy-of-copy", original.slice(0, 3)),
+    ];
+    const [cluster, ...rest] = detectCopycats(submissions, DEFAULT_COPYCAT);
+
+    expect(rest).toEqual([]);
+    expect(cluster!.members).toEqual(["copy", "copy-of-copy", "original"]);
+    expect(cluster!.pairs.find((p) => p.submitters.join() === "copy,original")).toEqual({
+      submitters: ["copy", "original"],
+      matched: 4,
+      compared: 4,
+      reasons: { slotAndTimestamp: 4, latency: 4 },
+    });
+    expect(formatCluster(cluster!)[0]).toBe("Copycat cluster for review: copy, copy-of-copy, original");
+  });
+
+  it("should flag near-identical probes taken within a few milliseconds", () => {
+    const shifted = probes(0).map((node) => ({ ...node, timestamp: node.timestamp + 3, metrics: { ...node.metrics, latency: null } }));
+    const [cluster] = detectCopycats([submission("a", probes(0)), submission("b", shifted)], DEFAULT_COPYCAT);
+    expect(cluster!.pairs[0]!.reasons).toEqual({ slotAndTimestamp: 4 });
+  });
+
+  it("should not flag honest nodes probing the same slot at the same moment", () => {
+    // Same round timer: same slot, tps and peers within a few ms, but each node's own round trip
+    const sameMoment = (responseTime: number) =>
+      probes(0).map((node) => ({ ...node, timestamp: node.timestamp + (responseTime % 3), metrics: { ...node.metrics, responseTime, latency: null } }));
+    expect(detectCopycats([submission("a", sameMoment(81)), submission("b", sameMoment(94))], DEFAULT_COPYCAT)).toEqual([]);
+  });
+
+  it("should reduce the score of every cluster member", () => {
+    const verdicts = [{ submitter: "a", score: 100 }, { submitter: "b", score: 80 }, { submitter: "c", score: 100 }] as any[];
+    applyCopycatPenalty(verdicts, [{ members: ["a", "b"], pairs: [] }], 50);
+    expect(verdicts.map((v) => v.score)).toEqual([50, 40, 100]);
+    expect(verdicts[0].copycat.members).toEqual(["a", "b"]);
+  });
+});
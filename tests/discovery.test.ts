@@ -0,0 +1,42 @@
+import { EndpointDiscovery, rpcUrls, DISCOVERY_KEY } from "../src/lib/discovery";
+import { memoryStore } from "./memoryStore";
+
+const seeds = [{ url: "https://k2-testnet.koii.live", network: "testnet" }];
+
+describe("Endpoint discovery", () => {
+  it("should turn advertised rpc addresses into unique public urls", () => {
+    expect(
+      rpcUrls(["1.2.3.4:8899", null, "1.2.3.4:8899", "127.0.0.1:8899", "10.0.0.5:8899", "5.6.7.8:10899"]),
+    ).toEqual(["http://1.2.3.4:8899", "http://5.6.7.8:10899"]);
+  });
+
+  it("should label discovered endpoints and list them after the configured ones", async () => {
+    const discovery = new EndpointDiscovery(undefined, { ttl: 60, maxEndpoints: 1 });
+    await discovery.refresh(seeds, async () => ["1.2.3.4:8899", "5.6.7.8:8899"], 0);
+    expect(discovery.endpoints(seeds)).toEqual([
+      ...seeds,
+      { url: "http://1.2.3.4:8899", network: "testnet", source: "discovered" },
+    ]);
+  });
+
+  it("should expire endpoints that are no longer advertised", async () => {
+    const store = memoryStore();
+    const discovery = new EndpointDiscovery(store, { ttl: 60, maxEndpoints: 20 });
+    await discovery.refresh(seeds, async () => ["1.2.3.4:8899", "5.6.7.8:8899"], 0);
+    await discovery.refresh(seeds, async () => ["5.6.7.8:8899"], 30000);
+
+    // A failing seed proves nothing, so nothing expires
+    await discovery.refresh(seeds, async () => {
+      throw new Error("getClusterNodes timed out");
+    }, 120000);
+    expect(discovery.endpoints(seeds)).toHaveLength(3);
+
+    await discovery.refresh(seeds, async () => ["5.6.7.8:8899"], 120000);
+    expect(discovery.endpoints(seeds).map((e) => e.url)).toEqual([seeds[0].url, "http://5.6.7.8:8899"]);
+
+    const restarted = new EndpointDiscovery(store, { ttl: 60, maxEndpoints: 20 });
+    await restarted.load();
+    expect(Object.keys(JSON.parse(store.data[DISCOVERY_KEY]))).toEqual(["http://5.6.7.8:8899"]);
+    expect(restarted.endpoints(seeds)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,71 @@
+import { DEFAULT_DISTRIBUTION } from "../src/lib/config";
+import { distributeRewards, neutralQuality, rewardWeight } from "../src/lib/distribution";
+
+const submitters = [
+  { publicKey: "alice", stake: 5_000e9 },
+  { publicKey: "bob", stake: 50_000e9 },
+  { publicKey: "carol", stake: 1_000e9 },
+];
+const qualities = { alice: 100, bob: 50, carol: 100 / 3 };
+
+function total(rewards: Record<string, number>) {
+  return Object.values(rewards).reduce((acc, reward) => acc + reward, 0);
+}
+
+describe("Reward distribution", () => {
+  it("should split equally and hand out the leftover by public key", () => {
+    const rewards = distributeRewards(submitters, 100, { mode: "equal", stakeCap: 10000, qualities });
+    expect(rewards).toEqual({ alice: 34, bob: 33, carol: 33 });
+  });
+
+  it("should weight by quality score", () => {
+    const rewards = distributeRewards(submitters, 1_000_003, { mode: "quality", stakeCap: 10000, qualities });
+    expect(total(rewards)).toBe(1_000_003);
+    expect(rewards.alice).toBeGreaterThan(rewards.bob);
+    expect(rewards.bob).toBeGreaterThan(rewards.carol);
+    expect(Math.abs(rewards.alice - 2 * rewards.bob)).toBeLessThanOrEqual(2);
+  });
+
+  it("should cap the stake counted in quality-stake mode", () => {
+    const options = { mode: "quality-stake", stakeCap: 10000, qualities };
+    // bob's 50k KOII only count as 10k
+    expect(rewardWeight(submitters[1], options)).toBe(5000n * 10_000_000_000_000n);
+    const rewards = distributeRewards(submitters, 1e9, options);
+    expect(Math.abs(rewards.alice - rewards.bob)).toBeLessThanOrEqual(1);
+    expect(total(rewards)).toBe(1e9);
+  });
+
+  it("should never hand out more than the bounty", () => {
+    for (const bounty of [0, 1, 2, 7, 999_999_999_999_999]) {
+      for (const mode of ["equal", "quality", "quality-stake"]) {
+        const rewards = distributeRewards(submitters, bounty, { mode, stakeCap: 10000, qualities });
+        expect(total(rewards)).toBeLessThanOrEqual(bounty);
+        expect(Object.values(rewards).every(Number.isInteger)).toBe(true);
+      }
+    }
+  });
+
+  it("should not depend on the submitter order", () => {
+    const options = { mode: "quality", stakeCap: 10000, qualities };
+    expect(distributeRewards(submitters, 1001, options)).toEqual(
+      distributeRewards(submitters.slice().reverse(), 1001, options),
+    );
+  });
+
+  it("should split equally when no one has a quality score", () => {
+    const rewards = distributeRewards(submitters, 99, { mode: "quality", stakeCap: 10000, qualities: {} });
+    expect(rewards).toEqual({ alice: 33, bob: 33, carol: 33 });
+  });
+
+  it("should weigh approved submitters without a quality score as the median", () => {
+    expect(neutralQuality(submitters, { alice: 100, bob: 50 })).toBe(75);
+    expect(neutralQuality(submitters, {})).toBe(100);
+
+    const rewards = distributeRewards(submitters, 300, { mode: "quality", stakeCap: 10000, qualities: { alice: 100, bob: 50 } });
+    expect(rewards).toEqual({ alice: 133, bob: 67, carol: 100 });
+  });
+
+  it("should split equally by default", () => {
+    expect(DEFAULT_DISTRIBUTION.mode).toBe("equal");
+  });
+});
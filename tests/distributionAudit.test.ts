@@ -0,0 +1,74 @@
+import { DistributionAuditor, diffDistribution, roundSubmitters } from "../src/lib/distribution-audit";
+import { distributeRewards } from "../src/lib/distribution";
+
+const round = 4;
+const submissionInfo = {
+  submissions: { [round]: { alice: {}, bob: {}, carol: {} } },
+  submissions_audit_trigger: {
+    [round]: {
+      bob: { votes: [{ is_valid: false }, { is_valid: false }, { is_valid: true }] },
+      carol: { votes: [{ is_valid: true }] },
+    },
+  },
+};
+const stakeList = { alice: 100, bob: 200, carol: 300 };
+
+// Equal split of the bounty, nothing for rejected submitters
+async function distribute(submitters: Array<{ publicKey: string; votes: number; stake: number }>, bounty: number) {
+  const approved = submitters.filter((submitter) => submitter.votes > 0);
+  const rejected = submitters.filter((submitter) => submitter.votes <= 0).map((s) => [s.publicKey, 0]);
+  return { ...Object.fromEntries(rejected), ...distributeRewards(approved, bounty, { mode: "equal" }) };
+}
+
+function fakeWrapper(list: object | null) {
+  const logs: string[] = [];
+  return {
+    logs,
+    getDistributionList: async () => (list ? Buffer.from(JSON.stringify(list)) : null),
+    getTaskSubmissionInfo: async () => submissionInfo,
+    getTaskState: async () => ({ stake_list: stakeList, bounty_amount_per_round: 101 }),
+    logger: async (_level: string, message: string) => {
+      logs.push(message);
+    },
+  };
+}
+
+describe("Distribution list audit", () => {
+  it("should rebuild the submitters from submissions, audit votes and stakes", () => {
+    expect(roundSubmitters(submissionInfo, stakeList, round)).toEqual([
+      { publicKey: "alice", votes: 1, stake: 100 },
+      { publicKey: "bob", votes: -1, stake: 200 },
+      { publicKey: "carol", votes: 1, stake: 300 },
+    ]);
+  });
+
+  it("should report missing, extra and changed keys beyond the tolerance", () => {
+    expect(diffDistribution({ a: 10, b: 20, c: 30 }, { a: 11, b: 25, d: 1 }, 1)).toEqual([
+      { publicKey: "b", expected: 20, submitted: 25 },
+      { publicKey: "c", expected: 30, submitted: null },
+      { publicKey: "d", expected: null, submitted: 1 },
+    ]);
+  });
+
+  it("should vote for a list that matches the rebuilt one", async () => {
+    const wrapper = fakeWrapper({ alice: 51, bob: 0, carol: 50 });
+    const auditor = new DistributionAuditor({ wrapper, distribute, tolerance: 0 });
+    expect(await auditor.audit("distributor", round)).toBe(true);
+  });
+
+  it("should vote against a list that differs and log the keys", async () => {
+    const wrapper = fakeWrapper({ alice: 101, bob: 0 });
+    const auditor = new DistributionAuditor({ wrapper, distribute, tolerance: 1 });
+    expect(await auditor.audit("distributor", round)).toBe(false);
+    expect(wrapper.logs).toEqual([
+      "Distribution list of distributor for round 4 differs in 2 key(s)",
+      "  alice: expected 51, submitted 101",
+      "  carol: expected 50, submitted no entry",
+    ]);
+  });
+
+  it("should vote against a missing list", async () => {
+    const auditor = new DistributionAuditor({ wrapper: fakeWrapper(null), distribute, tolerance: 1 });
+    expect(await auditor.audit("distributor", round)).toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+import { EventStream, formatEvent, issueCode, parseFilter } from "../src/lib/event-stream";
+
+function node(endpoint: string, network: string, issues: string[]) {
+  return { endpoint, network, timestamp: 1700000000000, score: issues.length ? 50 : 100, metrics: { isResponding: true }, issues };
+}
+
+function summary(round: number, nodes: object[]) {
+  return { round, nodes } as any;
+}
+
+const MAINNET = "https://k2-mainnet.koii.live";
+const TESTNET = "https://k2-testnet.koii.live";
+
+describe("Event stream", () => {
+  it("should publish a status event per endpoint and issue events when issues change", () => {
+    const stream = new EventStream();
+    const events: any[] = [];
+    stream.subscribe(parseFilter({}), undefined, (event) => events.push(event));
+
+    stream.recordRound(summary(1, [node(MAINNET, "mainnet", ["High latency"])]));
+    stream.recordRound(summary(2, [node(MAINNET, "mainnet", ["High latency"])]));
+    stream.recordRound(summary(3, [node(MAINNET, "mainnet", ["Slot lag"])]));
+
+    expect(events.map((e) => e.type)).toEqual(["status", "issue", "status", "status", "issue", "issue"]);
+    expect(events[1].data).toEqual({
+      endpoint: MAINNET,
+      network: "mainnet",
+      round: 1,
+      state: "raised",
+      code: "high-latency",
+      issue: "High latency",
+    });
+    expect(events[4].data).toMatchObject({ round: 3, state: "raised", issue: "Slot lag" });
+    expect(events[5].data).toMatchObject({ round: 3, state: "resolved", issue: "High latency" });
+    expect(events.map((e) => e.id)).toEqual([...events.map((e) => e.id)].sort((a, b) => a - b));
+  });
+
+  it("should keep an ongoing issue raised while its value changes", () => {
+    const stream = new EventStream();
+    const events: any[] = [];
+    stream.subscribe(parseFilter({}), undefined, (event) => events.push(event));
+
+    stream.recordRound(summary(1, [node(MAINNET, "mainnet", ["High response time: p95 3200ms", "Blocks not advancing for 30s"])]));
+    stream.recordRound(summary(2, [node(MAINNET, "mainnet", ["High response time: p95 4100ms", "Blocks not advancing for 60s"])]));
+    stream.recordRound(summary(3, [node(MAINNET, "mainnet", ["Blocks not advancing for 90s"])]));
+
+    const issues = events.filter((e) => e.type === "issue").map((e) => [e.data.round, e.data.state, e.data.code, e.data.issue]);
+    expect(issues).toEqual([
+      [1, "raised", "high-response-time", "High response time: p95 3200ms"],
+      [1, "raised", "blocks-not-advancing-for", "Blocks not advancing for 30s"],
+      [3, "resolved", "high-response-time", "High response time: p95 4100ms"],
+    ]);
+    expect(issueCode("Low TPS: 0.52")).toBe(issueCode("Low TPS: 12.00"));
+  });
+
+  it("should only send events matching the endpoint and network filters", () => {
+    const stream = new EventStream();
+    const mainnet: any[] = [];
+    const byEndpoint: any[] = [];
+    stream.subscribe(parseFilter({ network: "mainnet" }), undefined, (event) => mainnet.push(event));
+    stream.subscribe(parseFilter({ endpoint: `${TESTNET},https://other` }), undefined, (event) => byEndpoint.push(event));
+
+    stream.recordRound(summary(1, [node(MAINNET, "mainnet", []), node(TESTNET, "testnet", [])]));
+
+    expect(mainnet.map((e) => e.data.endpoint)).toEqual([MAINNET]);
+    expect(byEndpoint.map((e) => e.data.endpoint)).toEqual([TESTNET]);
+  });
+
+  it("should replay buffered events after the Last-Event-ID and stop after unsubscribing", () => {
+    const stream = new EventStream({ bufferSize: 3 });
+    stream.recordRound(summary(1, [node(MAINNET, "mainnet", []), node(TESTNET, "testnet", [])]));
+    const [first, second] = stream.buffer;
+    stream.recordRound(summary(2, [node(MAINNET, "mainnet", []), node(TESTNET, "testnet", [])]));
+
+    // The oldest event dropped out of the buffer
+    expect(stream.buffer.map((e) => e.id)).not.toContain(first.id);
+
+    const replayed: any[] = [];
+    const unsubscribe = stream.subscribe(parseFilter({}), String(second.id), (event) => replayed.push(event));
+    expect(replayed.map((e) => e.data.round)).toEqual([2, 2]);
+
+    unsubscribe();
+    stream.recordRound(summary(3, [node(MAINNET, "mainnet", [])]));
+    expect(replayed).toHaveLength(2);
+  });
+
+  it("should not replay anything without a Last-Event-ID", () => {
+    const stream = new EventStream();
+    stream.recordRound(summary(1, [node(MAINNET, "mainnet", [])]));
+    const events: any[] = [];
+    stream.subscribe(parseFilter({}), undefined, (event) => events.push(event));
+    expect(events).toEqual([]);
+  });
+
+  it("should format events for the wire", () => {
+    expect(formatEvent({ id: 42, type: "issue", data: { endpoint: MAINNET, state: "raised" } })).toBe(
+      `id: 42\nevent: issue\ndata: {"endpoint":"${MAINNET}","state":"raised"}\n\n`,
+    );
+  });
+});
@@ -3,7 +3,7 @@ import { setup } from "../src/task/0-setup";
 import { task } from "../src/task/1-task";
 import { submission } from "../src/task/2-submission";
 import { audit } from "../src/task/3-audit";
-import { distribution } from "../src/task/4-distribution";
+import { distribution, auditDistribution } from "../src/task/4-distribution";
 import { routes } from "../src/task/5-routes";
 import { namespaceWrapper, _server } from "@_koii/namespace-wrapper";
 import Joi from "joi";
@@ -17,6 +17,7 @@ beforeAll(async () => {
     submission,
     audit,
     distribution,
+    auditDistribution,
     routes,
   });
 });
@@ -0,0 +1,12 @@
+// In-memory stand-in for the namespace store (storeGet/storeSet), with the
+// raw values exposed as `data` for assertions
+export function memoryStore() {
+  const data: Record<string, string> = {};
+  return {
+    data,
+    storeGet: async (key: string) => data[key] ?? null,
+    storeSet: async (key: string, value: string) => {
+      data[key] = value;
+    },
+  };
+}
@@ -0,0 +1,90 @@
+import { MonitorMetrics } from "../src/lib/monitor-metrics";
+import { Histogram } from "../src/lib/prometheus";
+
+function summary(round: number, nodes: object[]) {
+  return { round, networkScore: 75, nodes } as any;
+}
+
+const online = {
+  endpoint: "https://k2-mainnet.koii.live",
+  network: "mainnet",
+  score: 90,
+  metrics: {
+    isResponding: true,
+    health: "degraded",
+    blockHeight: 123456,
+    slotLag: 2,
+    tps: 850.5,
+    peerCount: 12,
+    latency: { samples: 5, failed: 0, p50: 120, p95: 300, p99: 310 },
+  },
+  methods: {
+    getSlot: { ok: true, latency: 80, error: null },
+    getVersion: { ok: false, latency: 3000, error: "timeout" },
+    getBlockTime: { ok: false, latency: 0, error: "skipped: getSlot failed" },
+  },
+};
+
+const offline = {
+  endpoint: 'https://odd"name.koii',
+  network: "testnet",
+  score: 0,
+  metrics: { isResponding: false, health: "offline", blockHeight: 0, slotLag: null, tps: 0, peerCount: 0, latency: null },
+  methods: { getSlot: { ok: false, latency: 5000, error: "ECONNREFUSED" } },
+};
+
+describe("Prometheus metrics", () => {
+  it("should expose per-endpoint gauges labeled with endpoint and network", () => {
+    const metrics = new MonitorMetrics();
+    metrics.record(summary(7, [online, offline]));
+    const text = metrics.render();
+
+    expect(text).toContain("# TYPE pond_node_score gauge");
+    expect(text).toContain('pond_node_score{endpoint="https://k2-mainnet.koii.live",network="mainnet"} 90');
+    expect(text).toContain('pond_node_slot{endpoint="https://k2-mainnet.koii.live",network="mainnet"} 123456');
+    expect(text).toContain('pond_node_tps{endpoint="https://k2-mainnet.koii.live",network="mainnet"} 850.5');
+    expect(text).toContain('pond_node_health{endpoint="https://k2-mainnet.koii.live",network="mainnet",state="degraded"} 1');
+    expect(text).toContain('pond_node_latency_seconds{endpoint="https://k2-mainnet.koii.live",network="mainnet",quantile="0.95"} 0.3');
+    expect(text).toContain('pond_node_up{endpoint="https://odd\\"name.koii",network="testnet"} 0');
+    expect(text).not.toContain('pond_node_slot{endpoint="https://odd');
+    expect(text).toContain("pond_last_round 7");
+  });
+
+  it("should count probe failures by method and keep them across rounds", () => {
+    const metrics = new MonitorMetrics();
+    metrics.record(summary(1, [online]));
+    metrics.record(summary(2, [online]));
+    const text = metrics.render();
+
+    expect(text).toContain(
+      'pond_probe_failures_total{endpoint="https://k2-mainnet.koii.live",network="mainnet",method="getVersion"} 2',
+    );
+    expect(text).not.toContain('method="getBlockTime"');
+    expect(text).toContain(
+      'pond_probe_latency_seconds_count{endpoint="https://k2-mainnet.koii.live",network="mainnet",method="getSlot"} 2',
+    );
+  });
+
+  it("should drop the gauges of endpoints no longer monitored", () => {
+    const metrics = new MonitorMetrics();
+    metrics.record(summary(1, [online, offline]));
+    metrics.record(summary(2, [online]));
+    expect(metrics.render()).not.toContain('pond_node_up{endpoint="https://odd');
+  });
+
+  it("should render cumulative histogram buckets", () => {
+    const histogram = new Histogram("latency_seconds", "Latency", ["method"], [0.1, 1]);
+    histogram.observe({ method: "getSlot" }, 0.05);
+    histogram.observe({ method: "getSlot" }, 0.5);
+    histogram.observe({ method: "getSlot" }, 3);
+    expect(histogram.render()).toEqual([
+      "# HELP latency_seconds Latency",
+      "# TYPE latency_seconds histogram",
+      'latency_seconds_bucket{method="getSlot",le="0.1"} 1',
+      'latency_seconds_bucket{method="getSlot",le="1"} 2',
+      'latency_seconds_bucket{method="getSlot",le="+Inf"} 3',
+      'latency_seconds_sum{method="getSlot"} 3.55',
+      'latency_seconds_count{method="getSlot"} 3',
+    ]);
+  });
+});
@@ -0,0 +1,247 @@
+import { NodeMetrics } from "../src/lib/node-metrics";
+import { EndpointHistory, HISTORY_KEY } from "../src/lib/history";
+import { loadConfig } from "../src/lib/config";
+import { K2Adapter } from "../src/lib/chains/k2";
+import { annotateSlotLag, clusterTip, tipsByNetwork } from "../src/lib/cluster-tip";
+import { percentile, summarizeLatency } from "../src/lib/latency";
+import { timeCalls } from "../src/lib/rpc-timing";
+import { websocketUrl } from "../src/lib/ws-probe";
+import { memoryStore } from "./memoryStore";
+
+const config = loadConfig({});
+
+function record(endpoint: string, blockHeight: number, timestamp: number) {
+  return {
+    chain: "k2",
+    endpoint,
+    network: "mainnet",
+    timestamp,
+    isResponding: true,
+    health: "healthy",
+    blockHeight,
+    responseTime: 500,
+    tps: 60,
+    peerCount: 10,
+    version: "1.16.0",
+    details: { averageFee: 0 },
+  };
+}
+
+describe("Per-endpoint history", () => {
+  it("should keep only the last N observations per endpoint", async () => {
+    const history = new EndpointHistory(undefined, 2);
+    await history.record([record("a", 1, 1000), record("b", 7, 1000)]);
+    await history.record([record("a", 2, 2000)]);
+    await history.record([record("a", 3, 3000)]);
+    expect(history.get("a").map((o: { blockHeight: number }) => o.blockHeight)).toEqual([2, 3]);
+    expect(history.previous("b").blockHeight).toBe(7);
+  });
+
+  it("should survive a restart through the store", async () => {
+    const store = memoryStore();
+    await new EndpointHistory(store).record([record("a", 42, 1000)]);
+    expect(store.data[HISTORY_KEY]).toBeDefined();
+
+    const restored = new EndpointHistory(store);
+    await restored.load();
+    expect(restored.previous("a").blockHeight).toBe(42);
+  });
+
+  it("should score block progress against each endpoint's own history", async () => {
+    const history = new EndpointHistory();
+    const metrics = new NodeMetrics({
+      adapter: new K2Adapter(),
+      scoring: config.scoring,
+      alertThresholds: config.alertThresholds,
+      history,
+    });
+    await history.record([record("a", 100, 1000), record("b", 5000, 1000)]);
+
+    // "a" advanced 20 slots, "b" stalled: each is judged on its own
+    expect(metrics.validateMetrics(record("a", 120, 2000)).report.scores.blockHeight).toBe(100);
+    expect(metrics.validateMetrics(record("b", 5000, 2000)).report.scores.blockHeight).toBe(40);
+  });
+
+  it("should flag endpoints stalled longer than blockStall", async () => {
+    const history = new EndpointHistory();
+    const metrics = new NodeMetrics({
+      adapter: new K2Adapter(),
+      scoring: config.scoring,
+      alertThresholds: config.alertThresholds,
+      history,
+    });
+    await history.record([record("a", 100, 0)]);
+    await history.record([record("a", 100, 30000)]);
+
+    const { report } = metrics.validateMetrics(record("a", 100, 90000));
+    expect(report.issues).toContain("Blocks not advancing for 90s");
+  });
+});
+
+describe("Slot lag against the cluster tip", () => {
+  const records = [
+    { ...record("a", 10000, 0), network: "mainnet" },
+    { ...record("b", 9998, 0), network: "mainnet" },
+    { ...record("c", 8000, 0), network: "mainnet" },
+    { ...record("d", 50, 0), network: "testnet" },
+  ];
+
+  it("should derive the tip per network from the top quorum", () => {
+    expect(tipsByNetwork(records, { tipMethod: "quorum", quorumSize: 3 })).toEqual({
+      mainnet: 9998,
+      testnet: 50,
+    });
+    expect(clusterTip([10000, 9998, 8000], { tipMethod: "highest" })).toBe(10000);
+  });
+
+  it("should convert the lag to seconds behind", () => {
+    const annotated = annotateSlotLag(records, 0.4, { tipMethod: "highest" });
+    expect(annotated.map((r: { slotLag: number }) => r.slotLag)).toEqual([0, 2, 2000, 0]);
+    expect(annotated[2].secondsBehind).toBeCloseTo(800);
+  });
+
+  it("should score a node that advances but trails the tip poorly", async () => {
+    const history = new EndpointHistory();
+    const metrics = new NodeMetrics({
+      adapter: new K2Adapter(),
+      scoring: config.scoring,
+      alertThresholds: config.alertThresholds,
+      history,
+    });
+    await history.record([record("c", 7000, 0)]);
+
+    const [lagging] = annotateSlotLag([record("c", 8000, 1000), record("a", 10000, 1000)], 0.4, {
+      tipMethod: "highest",
+    });
+    const { report } = metrics.validateMetrics(lagging);
+    expect(report.scores.blockHeight).toBe(100);
+    expect(report.scores.slotLag).toBe(20);
+    expect(report.issues).toContain("Behind cluster tip: 2000 slots (800.0s)");
+  });
+});
+
+describe("Latency sampling", () => {
+  it("should report percentiles and jitter of the samples", () => {
+    const stats = summarizeLatency([100, 120, 110, 900, 105], 1);
+    expect(stats).toEqual({
+      samples: 5,
+      failed: 1,
+      min: 100,
+      p50: 110,
+      p95: 900,
+      p99: 900,
+      max: 900,
+      jitter: 404,
+    });
+    expect(percentile([5, 1, 4, 2, 3, 6, 7, 8, 9, 10], 50)).toBe(5);
+  });
+
+  it("should score the p95 of the samples instead of the probe time", async () => {
+    const adapter = new K2Adapter();
+    adapter.check = async () => ({ ...record("a", 100, 0), responseTime: 9000 });
+    let calls = 0;
+    adapter.ping = async () => {
+      calls++;
+    };
+    const metrics = new NodeMetrics({
+      adapter,
+      scoring: config.scoring,
+      alertThresholds: config.alertThresholds,
+      latency: { samples: 4, interval: 1 },
+    });
+
+    const status = await metrics.checkNodeStatus({ url: "a", network: "mainnet" });
+    expect(calls).toBe(4);
+    expect(status.latency.samples).toBe(4);
+    expect(status.responseTime).toBeLessThan(1000);
+    expect(metrics.validateMetrics(status).report.scores.responseTime).toBe(100);
+  });
+});
+
+describe("Per-RPC-method breakdown", () => {
+  function adapterAnswering(failing: string[]) {
+    const adapter = new K2Adapter();
+    const answers: Record<string, () => Promise<unknown>> = {
+      getSlot: async () => 100,
+      getSupply: async () => ({ value: { total: 10, circulating: 5 } }),
+      getHealth: async () => true,
+      getVersion: async () => ({ "solana-core": "1.16.0" }),
+      getRecentPerformanceSamples: async () => [{ numTransactions: 600, samplePeriodSecs: 60 }],
+      getClusterNodes: async () => [{}, {}, {}],
+      getConfirmedBlock: async () => ({ transactions: [] }),
+    };
+    for (const method of failing) {
+      answers[method] = async () => {
+        throw new Error(`${method} timed out`);
+      };
+    }
+    adapter.probe = async () => timeCalls(answers);
+    return adapter;
+  }
+
+  it("should report a node failing getConfirmedBlock as degraded", async () => {
+    const status = await adapterAnswering(["getConfirmedBlock"]).check({ url: "a", network: "mainnet" });
+    expect(status.isResponding).toBe(true);
+    expect(status.health).toBe("degraded");
+    expect(status.failedMethods).toEqual(["getConfirmedBlock"]);
+    expect(status.methods.getConfirmedBlock.error).toBe("getConfirmedBlock timed out");
+    expect(status.methods.getSlot.ok).toBe(true);
+  });
+
+  it("should report a node failing getSlot as offline with the breakdown", async () => {
+    const status = await adapterAnswering(["getSlot"]).check({ url: "a", network: "mainnet" });
+    expect(status.isResponding).toBe(false);
+    expect(status.health).toBe("offline");
+    expect(status.error).toBe("getSlot: getSlot timed out");
+    expect(status.methods.getVersion.ok).toBe(true);
+  });
+});
+
+describe("WebSocket probe", () => {
+  function metricsWithSocket(websocket: Record<string, unknown>) {
+    const adapter = new K2Adapter();
+    adapter.check = async () => record("https://a.example.com", 100, 0);
+    adapter.ping = async () => {};
+    adapter.probeWebSocket = async () => websocket as any;
+    return new NodeMetrics({
+      adapter,
+      scoring: config.scoring,
+      alertThresholds: config.alertThresholds,
+      latency: { samples: 1, interval: 1 },
+      websocket: config.websocket,
+    });
+  }
+
+  it("should derive the ws url the way web3.js does", () => {
+    expect(websocketUrl("https://k2-mainnet.koii.live")).toBe("wss://k2-mainnet.koii.live");
+    expect(websocketUrl("http://localhost:8899")).toBe("ws://localhost:8900");
+  });
+
+  it("should flag a down WebSocket on a healthy HTTP endpoint", async () => {
+    const metrics = metricsWithSocket({
+      status: "down",
+      connectTime: null,
+      slotRate: 0,
+      error: "connect timed out after 5000ms",
+    });
+    const status = await metrics.checkNodeStatus({ url: "https://a.example.com", network: "mainnet" });
+    expect(metrics.validateMetrics(status).report.issues).toContain(
+      "WebSocket down while HTTP is healthy: connect timed out after 5000ms",
+    );
+  });
+
+  it("should flag notifications trailing the HTTP slot", async () => {
+    const metrics = metricsWithSocket({
+      status: "lagging",
+      connectTime: 40,
+      slotLag: 25,
+      notificationDelay: 10.2,
+      slotRate: 2.4,
+      expectedRate: 1 / 0.408,
+    });
+    const status = await metrics.checkNodeStatus({ url: "https://a.example.com", network: "mainnet" });
+    expect(metrics.validateMetrics(status).report.issues).toContain(
+      "WebSocket lagging while HTTP is healthy: 25 slots (10.2s) behind HTTP, 2.40/s slot notifications (expected 2.45/s)",
+    );
+  });
+});
@@ -0,0 +1,81 @@
+import { ApiError, ReadApi, errorResponse, parsePagination } from "../src/lib/read-api";
+import { RoundStateStore } from "../src/lib/round-state";
+import { memoryStore } from "./memoryStore";
+
+function summary(round: number, nodes: Array<[string, number]>) {
+  return {
+    round,
+    nodes: nodes.map(([endpoint, score]) => ({
+      endpoint,
+      network: "mainnet",
+      source: "configured",
+      timestamp: round * 1000,
+      score,
+      issues: score < 50 ? ["Low TPS: 0.50"] : [],
+      metrics: { health: "healthy", isResponding: true },
+    })),
+  };
+}
+
+async function api() {
+  const roundState = new RoundStateStore(memoryStore(), { retention: 100 });
+  await roundState.put("status", 1, summary(1, [["https://a.koii", 90], ["https://b.koii", 40]]));
+  await roundState.put("status", 2, summary(2, [["https://a.koii", 80]]));
+  await roundState.put("status", 3, summary(3, [["https://a.koii", 70], ["https://c.koii", 60]]));
+  return new ReadApi(roundState);
+}
+
+describe("Read API", () => {
+  it("should return the latest and a specific round", async () => {
+    const readApi = await api();
+    expect((await readApi.latest()).data.round).toBe(3);
+    expect((await readApi.round("1")).data.nodes).toHaveLength(2);
+    await expect(readApi.round("9")).rejects.toMatchObject({ status: 404, code: "not_found" });
+    await expect(readApi.round("x")).rejects.toMatchObject({ status: 400, code: "invalid_parameter" });
+  });
+
+  it("should page the rounds and endpoints", async () => {
+    const readApi = await api();
+    expect(await readApi.rounds({ offset: "1", limit: "1" })).toEqual({
+      data: [2],
+      meta: { total: 3, offset: 1, limit: 1 },
+    });
+    const endpoints = await readApi.endpoints({});
+    expect(endpoints.meta.total).toBe(2);
+    expect(endpoints.data[1]).toMatchObject({ endpoint: "https://c.koii", round: 3, score: 60, issues: [] });
+  });
+
+  it("should return an endpoint's history within a time range", async () => {
+    const readApi = await api();
+    const history = await readApi.history("https://a.koii", { from: "2000", to: "3000" });
+    expect(history.data.map((point: any) => [point.round, point.score])).toEqual([[2, 80], [3, 70]]);
+    expect((await readApi.history("https://b.koii", { from: "1970-01-01T00:00:02Z" })).data).toEqual([]);
+    await expect(readApi.history("https://x.koii", {})).rejects.toMatchObject({ status: 404 });
+    await expect(readApi.history("https://a.koii", { from: "5000", to: "1000" })).rejects.toMatchObject({ status: 400 });
+  });
+
+  it("should return the consensus view of a round with submissions", async () => {
+    const report = { round: 4, observers: ["alice"], endpoints: [] };
+    const readApi = new ReadApi(new RoundStateStore(memoryStore(), { retention: 100 }), async (round: number) =>
+      round === 4 ? report : { round, observers: [], endpoints: [] },
+    );
+    expect(await readApi.consensus("4")).toEqual({ data: report });
+    await expect(readApi.consensus("5")).rejects.toMatchObject({ status: 404, code: "not_found" });
+    await expect(readApi.consensus("-1")).rejects.toMatchObject({ status: 400 });
+    await expect((await api()).consensus("4")).rejects.toMatchObject({ status: 404 });
+  });
+
+  it("should reject bad paging and wrap errors in one envelope", () => {
+    expect(() => parsePagination({ limit: "0" })).toThrow("limit must be an integer of at least 1");
+    expect(() => parsePagination({ limit: "501" })).toThrow("limit must be at most 500");
+    expect(errorResponse(new ApiError(404, "not_found", "gone"))).toEqual({
+      status: 404,
+      body: { error: { code: "not_found", message: "gone" } },
+    });
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    expect(errorResponse(new Error("boom"))).toEqual({
+      status: 500,
+      body: { error: { code: "internal_error", message: "Internal error" } },
+    });
+  });
+});
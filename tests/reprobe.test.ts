@@ -0,0 +1,113 @@
+import { AuditEngine } from "../src/lib/audit-engine";
+import { DEFAULT_AUDIT_TOLERANCES } from "../src/lib/config";
+import { Reprober, sampleNodes, sampleSeed } from "../src/lib/reprobe";
+
+const engine = new AuditEngine({ slotTime: 0.4, tolerances: DEFAULT_AUDIT_TOLERANCES });
+
+function node(endpoint: string, blockHeight = 1000, overrides: Record<string, unknown> = {}) {
+  return {
+    endpoint,
+    network: "mainnet",
+    source: "configured",
+    timestamp: 0,
+    metrics: { blockHeight, tps: 100, peerCount: 10, version: "1.16.0", isResponding: true, ...overrides },
+  } as any;
+}
+
+// Stands in for NodeMetrics, every endpoint answers as given in `records`
+function fakeMetrics(records: Record<string, object>) {
+  const probed: string[] = [];
+  return {
+    probed,
+    checkNodeStatus: async (endpoint: { url: string }) => {
+      probed.push(endpoint.url);
+      return records[endpoint.url];
+    },
+  };
+}
+
+const endpoints = ["https://a.koii", "https://b.koii", "https://c.koii", "https://d.koii", "https://e.koii"];
+const known = endpoints.map((url) => ({ url, network: "mainnet" }));
+
+describe("Audit re-probing", () => {
+  it("should sample the same endpoints for the same seed only", () => {
+    const nodes = endpoints.map((endpoint) => node(endpoint));
+    const sample = sampleNodes(nodes, 2, "seed-1");
+
+    expect(sample).toHaveLength(2);
+    expect(sampleNodes(nodes.slice().reverse(), 2, "seed-1")).toEqual(sample);
+    const samples = new Set(
+      ["seed-2", "seed-3", "seed-4", "seed-5"].map((seed) =>
+        sampleNodes(nodes, 2, seed).map((n: any) => n.endpoint).join(),
+      ),
+    );
+    expect(samples.size).toBeGreaterThan(1);
+    expect(sampleNodes(nodes.slice(0, 1), 3, "seed-1")).toHaveLength(1);
+  });
+
+  it("should derive a different seed per submitter from the whole round", () => {
+    const submissions = [{ submitter: "a", nodes: [] }, { submitter: "b", nodes: [] }] as any[];
+    expect(sampleSeed(7, submissions, "a")).toBe(sampleSeed(7, submissions.slice().reverse(), "a"));
+    expect(sampleSeed(7, submissions, "a")).not.toBe(sampleSeed(7, submissions, "b"));
+    expect(sampleSeed(7, submissions, "a")).not.toBe(sampleSeed(8, submissions, "a"));
+  });
+
+  it("should compare liveness, version and the time-aligned slot with the re-probe", () => {
+    // Re-probed 40s after the report, 100 slots later
+    const probe = { isResponding: true, version: "1.16.0", blockHeight: 1100, timestamp: 40000 };
+    const honest = engine.judgeProbe(node("https://a.koii", 1000), probe);
+    expect(honest.ok).toBe(true);
+    expect(honest.metrics.blockHeight.reason).toContain("re-probed 1000.00 slots");
+
+    const stale = engine.judgeProbe(node("https://a.koii", 500, { version: "1.14.0" }), probe);
+    expect(stale.ok).toBe(false);
+    expect(stale.metrics.version).toEqual({ ok: false, reason: "reported 1.14.0, re-probe found 1.16.0" });
+    expect(stale.metrics.blockHeight.ok).toBe(false);
+
+    const dead = engine.judgeProbe(node("https://a.koii"), { ...probe, isResponding: false });
+    expect(dead.metrics).toEqual({
+      isResponding: { ok: false, reason: "reported responding, re-probe found it offline" },
+    });
+  });
+
+  it("should probe each endpoint once per audit and count re-probes toward the score", async () => {
+    const records = Object.fromEntries(
+      endpoints.map((endpoint) => [endpoint, { isResponding: true, version: "2.0.0", blockHeight: 1000, timestamp: 0 }]),
+    );
+    const nodeMetrics = fakeMetrics(records);
+    const reprober = new Reprober({ nodeMetrics: nodeMetrics as any, engine, sampleSize: 2 });
+
+    // Both submissions agree with each other, but not with the nodes
+    const submissions = ["a", "b"].map((submitter) => ({
+      submitter,
+      nodes: endpoints.slice(0, 2).map((endpoint) => node(endpoint)),
+    })) as any[];
+    const reprobed = new Map();
+    for (const submission of submissions) {
+      reprobed.set(submission.submitter, await reprober.verify(submission, sampleSeed(1, submissions, submission.submitter), known));
+    }
+    expect(nodeMetrics.probed.sort()).toEqual(endpoints.slice(0, 2));
+
+    const [verdict] = engine.judge(submissions, reprobed);
+    expect(verdict.reprobes).toHaveLength(2);
+    expect(verdict.comparedNodes).toBe(4);
+    expect(verdict.validNodes).toBe(2);
+    expect(verdict.score).toBe(50);
+  });
+
+  it("should only probe endpoints the auditor monitors itself", async () => {
+    const nodeMetrics = fakeMetrics({
+      "https://a.koii": { isResponding: true, version: "1.16.0", blockHeight: 1000, timestamp: 0 },
+    });
+    const reprober = new Reprober({ nodeMetrics: nodeMetrics as any, engine, sampleSize: 3 });
+    const submission = {
+      submitter: "a",
+      nodes: [node("https://a.koii"), node("http://169.254.169.254/latest"), node("http://10.0.0.1:8899")],
+    } as any;
+
+    const verdicts = await reprober.verify(submission, "seed-1", [{ url: "https://a.koii", network: "mainnet", source: "configured" }]);
+    expect(nodeMetrics.probed).toEqual(["https://a.koii"]);
+    expect(verdicts.map((verdict: any) => verdict.endpoint)).toEqual(["https://a.koii"]);
+    expect(await reprober.verify(submission, "seed-1", [])).toEqual([]);
+  });
+});
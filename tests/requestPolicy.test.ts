@@ -0,0 +1,60 @@
+import {
+  backoffDelay,
+  withDeadline,
+  ProbeBudget,
+  TimeoutError,
+} from "../src/lib/request-policy";
+
+const policy = {
+  timeout: 50,
+  retries: 2,
+  backoffBase: 5,
+  backoffMax: 20,
+  budget: 500,
+};
+
+describe("Probe request policy", () => {
+  it("should cap the exponential backoff and apply jitter", () => {
+    expect(backoffDelay(0, policy, () => 1)).toBe(5);
+    expect(backoffDelay(1, policy, () => 1)).toBe(10);
+    expect(backoffDelay(5, policy, () => 1)).toBe(20);
+    expect(backoffDelay(5, policy, () => 0.5)).toBe(10);
+  });
+
+  it("should abort a request that misses its deadline", async () => {
+    let aborted = false;
+    const hung = (signal: AbortSignal) =>
+      new Promise(() => {
+        signal.addEventListener("abort", () => {
+          aborted = true;
+        });
+      });
+    await expect(withDeadline(hung, 10, "getSlot")).rejects.toThrow(
+      new TimeoutError("getSlot timed out after 10ms"),
+    );
+    expect(aborted).toBe(true);
+  });
+
+  it("should retry failed attempts within the retry limit", async () => {
+    const budget = new ProbeBudget(policy);
+    let attempts = 0;
+    const flaky = async () => {
+      attempts++;
+      if (attempts < 3) throw new Error("ECONNRESET");
+      return 42;
+    };
+    await expect(budget.run("getSlot", flaky)).resolves.toBe(42);
+    expect(budget.summary().retries).toBe(2);
+
+    attempts = -10;
+    await expect(new ProbeBudget(policy).run("getSlot", flaky)).rejects.toThrow("ECONNRESET");
+  });
+
+  it("should never spend more than the endpoint budget", async () => {
+    const budget = new ProbeBudget({ ...policy, timeout: 40, budget: 60, retries: 5 });
+    const started = Date.now();
+    await expect(budget.run("getSupply", () => new Promise(() => {}))).rejects.toThrow(TimeoutError);
+    expect(Date.now() - started).toBeLessThan(150);
+    expect(budget.summary().exhausted).toBe(true);
+  });
+});
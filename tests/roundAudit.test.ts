@@ -0,0 +1,119 @@
+import { AuditEngine } from "../src/lib/audit-engine";
+import { DEFAULT_AUDIT_TOLERANCES, DEFAULT_COPYCAT } from "../src/lib/config";
+import { Reprober } from "../src/lib/reprobe";
+import { RoundAuditor } from "../src/lib/round-audit";
+
+const engine = new AuditEngine({ slotTime: 0.408, tolerances: DEFAULT_AUDIT_TOLERANCES });
+
+const MAINNET = "https://k2-mainnet.koii.live";
+
+function node(blockHeight: number, overrides: Record<string, unknown> = {}) {
+  return {
+    endpoint: MAINNET,
+    network: "mainnet",
+    timestamp: 0,
+    metrics: { blockHeight, tps: 100, peerCount: 10, version: "1.16.0", responseTime: 120, isResponding: true, ...overrides },
+  };
+}
+
+function submission(submitter: string, nodes: object[]) {
+  return { submitter, nodes } as any;
+}
+
+// Re-probes find every endpoint as in `record`, and remember what they probed
+function reprober(record: object | null = null) {
+  const probed: string[] = [];
+  const nodeMetrics = {
+    checkNodeStatus: async (endpoint: { url: string }) => {
+      probed.push(endpoint.url);
+      return record;
+    },
+  };
+  return { probed, reprober: new Reprober({ nodeMetrics: nodeMetrics as any, engine, sampleSize: record ? 1 : 0 }) };
+}
+
+function auditor(submissions: any[], probe = reprober()) {
+  const logged: Array<[string, string]> = [];
+  const loads: number[] = [];
+  const roundAuditor = new RoundAuditor({
+    wrapper: { logger: async (level: string, line: string) => { logged.push([level, line]); } },
+    loadSubmissions: async (round: number) => {
+      loads.push(round);
+      return submissions;
+    },
+    engine,
+    reprober: probe.reprober,
+    knownEndpoints: async () => [{ url: MAINNET, network: "mainnet" }],
+    copycat: DEFAULT_COPYCAT,
+  });
+  return { roundAuditor, logged, loads, probed: probe.probed };
+}
+
+describe("Round audit", () => {
+  const round = [
+    submission("honest-1", [node(1000)]),
+    submission("honest-2", [node(1001)]),
+    submission("liar", [node(5000, { version: "0.0.1" })]),
+  ];
+
+  it("should judge a submission against the rest of its round and log the verdict", async () => {
+    const { roundAuditor, logged, loads } = auditor(round);
+
+    expect((await roundAuditor.audit(round[0], 4)).score).toBe(100);
+    const liar = await roundAuditor.audit(round[2], 4);
+    expect(liar.score).toBe(0);
+    expect(logged).toContainEqual(["warn", "Audit of liar: 0.0 (0/1 compared nodes and re-probes valid, 1 reported)"]);
+    expect(logged).toContainEqual(["log", "Audit of honest-1: 100.0 (1/1 compared nodes and re-probes valid, 1 reported)"]);
+    expect(await roundAuditor.submissionsOf(4)).toBe(round);
+    expect(loads).toEqual([4]);
+  });
+
+  it("should judge the audited submission as given, not the round's copy of it", async () => {
+    const { roundAuditor } = auditor(round);
+    const verdict = await roundAuditor.audit(submission("honest-1", [node(9000)]), 4);
+    expect(verdict.score).toBe(0);
+    expect((await roundAuditor.audit(submission("newcomer", [node(1002)]), 4)).score).toBe(100);
+  });
+
+  it("should load the submissions again for a new round or after a failed load", async () => {
+    let fail = true;
+    const roundAuditor = new RoundAuditor({
+      wrapper: { logger: async () => {} },
+      loadSubmissions: async () => {
+        if (fail) throw new Error("K2 unreachable");
+        return round;
+      },
+      engine,
+      reprober: reprober().reprober,
+      knownEndpoints: async () => [],
+      copycat: DEFAULT_COPYCAT,
+    });
+    await expect(roundAuditor.audit(round[0], 5)).rejects.toThrow("K2 unreachable");
+    fail = false;
+    expect((await roundAuditor.audit(round[2], 5)).score).toBe(0);
+  });
+
+  it("should fail submissions that agree with each other but not with the re-probe", async () => {
+    const agreeing = [submission("a", [node(1000)]), submission("b", [node(1000)])];
+    const probe = reprober({ isResponding: true, version: "2.0.0", blockHeight: 1000, timestamp: 0 });
+    const { roundAuditor, probed } = auditor(agreeing, probe);
+
+    const verdict = await roundAuditor.audit(agreeing[0], 6);
+    expect(verdict.reprobes).toHaveLength(1);
+    expect(verdict.score).toBe(50);
+    await roundAuditor.audit(agreeing[1], 6);
+    expect(probed).toEqual([MAINNET]);
+  });
+
+  it("should take the copycat penalty from submitters sharing measurements", async () => {
+    const TESTNET = "https://k2-testnet.koii.live";
+    const measured = (offset: number) => [node(1000 + offset), { ...node(500 + offset), endpoint: TESTNET }];
+    const copied = measured(0);
+    const submissions = [submission("original", copied), submission("copy", copied), submission("honest", measured(1))];
+    const { roundAuditor, logged } = auditor(submissions);
+
+    expect((await roundAuditor.audit(submissions[1], 7)).score).toBe(100 * (1 - DEFAULT_COPYCAT.penalty / 100));
+    expect(logged).toContainEqual(["warn", "Copycat cluster for review: copy, original"]);
+    expect((await roundAuditor.audit(submissions[2], 7)).score).toBe(100);
+  });
+});
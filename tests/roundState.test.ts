@@ -0,0 +1,43 @@
+import { RoundStateStore, ROUND_INDEX_KEY, roundKey } from "../src/lib/round-state";
+import { memoryStore } from "./memoryStore";
+
+describe("Round state store", () => {
+  it("should share typed keys between the stages", () => {
+    expect(roundKey("status", 12)).toBe("node_status_12");
+    expect(roundKey("submission", 12)).toBe("submission_12");
+    expect(() => roundKey("pulsechain_status", 12)).toThrow('Unknown round state kind "pulsechain_status"');
+    expect(() => roundKey("status", -1)).toThrow("Invalid round -1");
+  });
+
+  it("should put, get and list rounds per kind", async () => {
+    const store = memoryStore();
+    const state = new RoundStateStore(store, { retention: 10 });
+    await state.put("status", 2, { round: 2 });
+    await state.put("status", 1, { round: 1 });
+    await state.put("submission", 2, { cid: "b" });
+
+    expect(await state.get("status", 1)).toEqual({ round: 1 });
+    expect(await state.get("status", 3)).toBeNull();
+    expect(await state.list("status")).toEqual([1, 2]);
+    expect(await state.list("submission")).toEqual([2]);
+    expect(await state.latest("status")).toBe(2);
+
+    // A second instance, e.g. another stage, sees the same rounds
+    expect(await new RoundStateStore(store, { retention: 10 }).list("status")).toEqual([1, 2]);
+  });
+
+  it("should prune every kind past the retention horizon", async () => {
+    const store = memoryStore();
+    const state = new RoundStateStore(store, { retention: 2 });
+    for (let round = 1; round <= 5; round++) {
+      await state.put("status", round, { round });
+    }
+    await state.put("submission", 2, { cid: "b" });
+
+    expect(await state.list("status")).toEqual([3, 4, 5]);
+    expect(await state.list("submission")).toEqual([]);
+    expect(await state.get("status", 2)).toBeNull();
+    expect(await state.get("submission", 2)).toBeNull();
+    expect(JSON.parse(store.data[ROUND_INDEX_KEY]!)).toEqual({ status: [3, 4, 5], submission: [] });
+  });
+});
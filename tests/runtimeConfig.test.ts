@@ -0,0 +1,93 @@
+import {
+  loadConfig,
+  DEFAULT_ENDPOINTS,
+  DEFAULT_CHECK_INTERVAL,
+  DEFAULT_ALERT_THRESHOLDS,
+  DEFAULT_SUBMISSION_STORE,
+} from "../src/lib/config";
+
+describe("Loading the runtime config", () => {
+  it("should fall back to the defaults when no task variables are set", () => {
+    const config = loadConfig({});
+    expect(config.endpoints).toEqual(DEFAULT_ENDPOINTS);
+    expect(config.checkInterval).toBe(DEFAULT_CHECK_INTERVAL);
+    expect(config.alertThresholds).toEqual(DEFAULT_ALERT_THRESHOLDS);
+  });
+
+  it("should parse a comma separated K2_ENDPOINTS list and infer networks", () => {
+    const config = loadConfig({
+      K2_ENDPOINTS: "https://k2.example.com/, https://k2-testnet.example.com",
+    });
+    expect(config.endpoints).toEqual([
+      { url: "https://k2.example.com", network: "mainnet" },
+      { url: "https://k2-testnet.example.com", network: "testnet" },
+    ]);
+  });
+
+  it("should only keep endpoints of the configured NETWORK_TYPES", () => {
+    const config = loadConfig({
+      K2_ENDPOINTS: JSON.stringify([
+        { url: "https://a.example.com", network: "devnet" },
+        "https://k2-testnet.example.com",
+      ]),
+      NETWORK_TYPES: "devnet",
+    });
+    expect(config.networks).toEqual(["devnet"]);
+    expect(config.endpoints.map((e: { url: string }) => e.url)).toEqual([
+      "https://a.example.com",
+    ]);
+  });
+
+  it("should merge ALERT_THRESHOLDS and per-threshold overrides", () => {
+    const config = loadConfig({
+      ALERT_THRESHOLDS: '{"responseTime": 4000, "minPeers": 5}',
+      ALERT_THRESHOLD_MIN_PEERS: "7",
+    });
+    expect(config.alertThresholds.responseTime).toBe(4000);
+    expect(config.alertThresholds.minPeers).toBe(7);
+    expect(config.scoring.thresholds.minPeers).toBe(7);
+    expect(config.scoring.thresholds.responseTime.fair).toBe(4000);
+  });
+
+  it("should report every invalid variable in one error", () => {
+    expect(() =>
+      loadConfig({
+        K2_ENDPOINTS: "not-a-url",
+        CHECK_INTERVAL: "-5",
+        NETWORK_TYPES: "moonnet",
+        ALERT_THRESHOLDS: '{"latency": 10}',
+      }),
+    ).toThrow(
+      /NETWORK_TYPES contains unknown network\(s\): moonnet[\s\S]*K2_ENDPOINTS entry "not-a-url" is not a valid URL[\s\S]*CHECK_INTERVAL must be a positive number[\s\S]*ALERT_THRESHOLDS.latency is not a known threshold/,
+    );
+  });
+
+  it("should accept a ws url per endpoint and the WebSocket probe settings", () => {
+    const config = loadConfig({
+      K2_ENDPOINTS: JSON.stringify([{ url: "https://k2.example.com", ws: "wss://pubsub.example.com" }]),
+      WS_PROBE: "false",
+      WS_PROBE_DURATION: "3000",
+    });
+    expect(config.endpoints[0].ws).toBe("wss://pubsub.example.com");
+    expect(config.websocket).toEqual({ enabled: false, duration: 3000 });
+    expect(() =>
+      loadConfig({ K2_ENDPOINTS: JSON.stringify([{ url: "https://k2.example.com", ws: "https://k2.example.com" }]) }),
+    ).toThrow('K2_ENDPOINTS entry "https://k2.example.com" ws url must use ws or wss');
+  });
+
+  it("should store payloads on IPFS by default and take the API and gateway urls", () => {
+    expect(loadConfig({}).submissionStore).toEqual(DEFAULT_SUBMISSION_STORE);
+    expect(DEFAULT_SUBMISSION_STORE.backend).toBe("ipfs");
+    const config = loadConfig({
+      SUBMISSION_STORE_IPFS_API: "https://pin.example.com/",
+      SUBMISSION_STORE_GATEWAY: "https://gateway.example.com",
+    });
+    expect(config.submissionStore).toMatchObject({
+      ipfsApi: "https://pin.example.com",
+      gateway: "https://gateway.example.com",
+    });
+    expect(() => loadConfig({ SUBMISSION_STORE: "inline", SUBMISSION_STORE_GATEWAY: "ftp://gateway" })).toThrow(
+      /SUBMISSION_STORE must be one of ipfs, fs, got "inline"[\s\S]*SUBMISSION_STORE_GATEWAY must use http or https/,
+    );
+  });
+});
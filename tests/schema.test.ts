@@ -0,0 +1,79 @@
+import { parsePayload, validatePayload, SchemaError, SCHEMA_VERSION } from "../src/lib/schema";
+
+function payload() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    chain: "k2",
+    timestamp: 1700000000000,
+    round: 42,
+    networkScore: 87.5,
+    networkStats: { activeNodes: 1, totalNodes: 1, discoveredNodes: 0, highestBlock: 1000, tips: { mainnet: 1000 }, totalTps: 12 },
+    nodes: [
+      {
+        endpoint: "https://k2-mainnet.koii.live",
+        network: "mainnet",
+        source: "configured",
+        timestamp: 1700000000000,
+        score: 87.5,
+        issues: [],
+        metrics: {
+          blockHeight: 1000,
+          slotLag: 0,
+          secondsBehind: 0,
+          tps: 12,
+          health: "healthy",
+          responseTime: 120,
+          latency: null,
+          peerCount: 8,
+          version: "1.16.0",
+          isResponding: true,
+        },
+        methods: {},
+        failedMethods: [],
+        budget: { budgetMs: 48960, spentMs: 900, retries: 0, timeouts: 0, exhausted: false },
+        websocket: null,
+        details: {},
+      },
+    ],
+  };
+}
+
+describe("Round payload schema", () => {
+  it("should accept a current payload from JSON", () => {
+    expect(parsePayload(JSON.stringify(payload()))).toEqual(payload());
+  });
+
+  it("should name every field that failed", () => {
+    const invalid: any = payload();
+    invalid.networkScore = 140;
+    invalid.nodes[0].metrics.health = "fine";
+    delete invalid.nodes[0].metrics.blockHeight;
+    expect(validatePayload(invalid)).toEqual([
+      "networkScore must be between 0 and 100, got 140",
+      "nodes[0].metrics.blockHeight must be a number, got undefined",
+      'nodes[0].metrics.health must be one of healthy, degraded, unhealthy, offline, got "fine"',
+    ]);
+    expect(() => parsePayload(invalid)).toThrow(SchemaError);
+  });
+
+  it("should migrate payloads of previous versions", () => {
+    const previous: any = payload();
+    previous.schemaVersion = 2;
+    delete previous.nodes[0].timestamp;
+    expect(parsePayload(previous)).toEqual(payload());
+
+    const first: any = payload();
+    delete first.schemaVersion;
+    delete first.networkStats.discoveredNodes;
+    delete first.nodes[0].source;
+    delete first.nodes[0].timestamp;
+    delete first.nodes[0].websocket;
+    expect(parsePayload(first)).toEqual(payload());
+  });
+
+  it("should reject versions newer than the task understands", () => {
+    expect(() => parsePayload({ ...payload(), schemaVersion: SCHEMA_VERSION + 1 })).toThrow(
+      `schemaVersion ${SCHEMA_VERSION + 1} is not supported`,
+    );
+  });
+});
@@ -0,0 +1,53 @@
+import { signSubmission, verifySubmission } from "../src/lib/signing";
+
+// Stands in for the namespace wrapper: a "signature" only verifies for the key that made it
+function wrapperFor(stakingKey: string) {
+  return {
+    getSubmitterAccount: async () => ({
+      publicKey: { toBase58: () => stakingKey },
+      secretKey: new Uint8Array(64),
+    }),
+    payloadSigning: async (body: object) =>
+      Buffer.from(JSON.stringify({ key: stakingKey, body })).toString("base64"),
+    verifySignature: async (signature: string, pubKey: string) => {
+      const { key, body } = JSON.parse(Buffer.from(signature, "base64").toString());
+      return key === pubKey ? { data: JSON.stringify(body) } : { error: "invalid signature" };
+    },
+  };
+}
+
+const pointer = { cid: "bafkreiexample", hash: "ab".repeat(32) };
+
+describe("Signed submissions", () => {
+  const alice = wrapperFor("alice");
+
+  it("should verify a submission signed by the submitter for the round", async () => {
+    const signed = await signSubmission(alice, pointer, 12);
+    expect(signed.stakingKey).toBe("alice");
+    await expect(verifySubmission(alice, signed, 12, "alice")).resolves.toEqual(pointer);
+  });
+
+  it("should reject a submission replayed in another round", async () => {
+    const signed = await signSubmission(alice, pointer, 12);
+    await expect(verifySubmission(alice, signed, 13, "alice")).rejects.toThrow(
+      "Submission was signed for round 12, not 13",
+    );
+  });
+
+  it("should reject a submission copied by another submitter", async () => {
+    const signed = await signSubmission(alice, pointer, 12);
+    await expect(verifySubmission(alice, signed, 12, "bob")).rejects.toThrow(
+      "Submission signed by alice, submitted by bob",
+    );
+    await expect(verifySubmission(alice, { ...signed, stakingKey: "bob" }, 12, "bob")).rejects.toThrow(
+      "Signature does not verify for bob",
+    );
+  });
+
+  it("should reject fields changed after signing", async () => {
+    const signed = await signSubmission(alice, pointer, 12);
+    await expect(verifySubmission(alice, { ...signed, cid: "bafkreiother" }, 12, "alice")).rejects.toThrow(
+      "Signed cid does not match the submitted cid",
+    );
+  });
+});
@@ -0,0 +1,89 @@
+import { SlashingPolicy, SLASHING_KEY } from "../src/lib/slashing";
+import { DEFAULT_SLASHING } from "../src/lib/config";
+import { voteHistory } from "../src/lib/distribution-audit";
+import { memoryStore } from "./memoryStore";
+
+const options = { warnings: 1, steps: [10, 30, 50], cap: 40, decayRounds: 2 };
+const voted = (votes: number) => [{ publicKey: "node", votes }];
+
+describe("Slashing policy", () => {
+  it("should warn first, then escalate up to the cap", async () => {
+    const policy = new SlashingPolicy(undefined, options);
+    const decisions = [];
+    for (let round = 1; round <= 5; round++) {
+      decisions.push((await policy.decideRound(round, voted(-1))).node);
+    }
+    expect(decisions.map((d) => [d.action, d.percent])).toEqual([
+      ["warn", 0],
+      ["slash", 10],
+      ["slash", 30],
+      ["slash", 40],
+      ["slash", 40],
+    ]);
+    expect(decisions[3].reason).toBe("offense 4 (-1 votes), slashing 40% of the stake (cap)");
+  });
+
+  it("should forgive one offense per run of clean rounds", async () => {
+    const policy = new SlashingPolicy(undefined, options);
+    await policy.decideRound(1, voted(-1));
+    await policy.decideRound(2, voted(-1));
+    await policy.decideRound(3, voted(2));
+    // Rounds nobody voted on don't count as clean
+    await policy.decideRound(4, voted(0));
+    const decayed = (await policy.decideRound(5, voted(2))).node;
+    expect(decayed).toMatchObject({ action: "none", offenses: 1, reason: "2 clean rounds, offenses decayed to 1" });
+    expect((await policy.decideRound(6, voted(-1))).node).toMatchObject({ action: "slash", percent: 10, offenses: 2 });
+  });
+
+  it("should count a round once and keep the history in the store", async () => {
+    const store = memoryStore();
+    const policy = new SlashingPolicy(store, DEFAULT_SLASHING);
+    const first = await policy.decideRound(7, voted(-3));
+    expect(await policy.decideRound(7, voted(-3))).toEqual(first);
+
+    const restarted = new SlashingPolicy(store, DEFAULT_SLASHING);
+    expect(await restarted.decideRound(7, voted(-3))).toEqual(first);
+    expect((await restarted.decideRound(8, voted(-3))).node).toMatchObject({ action: "slash", offenses: 2 });
+    expect(JSON.parse(store.data[SLASHING_KEY]!).submitters.node.offenses).toBe(2);
+  });
+
+  it("should keep decaying and escalating over more rounds than K2 holds", async () => {
+    const store = memoryStore();
+    const policy = new SlashingPolicy(store, DEFAULT_SLASHING);
+    await policy.decideRound(1, voted(-1));
+    await policy.decideRound(2, voted(-1));
+    for (let round = 3; round < 12; round++) {
+      await policy.decideRound(round, voted(1));
+    }
+    expect((await policy.decideRound(12, voted(1))).node).toMatchObject({ offenses: 1 });
+    expect((await new SlashingPolicy(store, DEFAULT_SLASHING).decideRound(13, voted(-1))).node).toMatchObject({
+      action: "slash",
+      percent: 10,
+      offenses: 2,
+    });
+  });
+
+  it("should catch up on the rounds K2 holds that it didn't count", async () => {
+    const submissionInfo = {
+      submissions: { 1: { node: {} }, 2: { node: {}, other: {} }, 3: { node: {} } },
+      submissions_audit_trigger: {
+        1: { node: { votes: [{ is_valid: false }] } },
+        2: { node: { votes: [{ is_valid: false }, { is_valid: false }] } },
+      },
+    };
+    expect(voteHistory(submissionInfo, 3)).toEqual([
+      { round: 1, submitters: [{ publicKey: "node", votes: -1 }] },
+      { round: 2, submitters: [{ publicKey: "node", votes: -2 }, { publicKey: "other", votes: 1 }] },
+    ]);
+    const policy = new SlashingPolicy(undefined, options);
+    await policy.decideRound(1, voted(-1));
+    expect((await policy.decideRound(3, voted(-1), voteHistory(submissionInfo, 3))).node).toMatchObject({
+      action: "slash",
+      percent: 30,
+      offenses: 3,
+    });
+    // Round 2 was counted on the way, asking for it again changes nothing
+    expect((await policy.decideRound(2, voted(-2))).node).toMatchObject({ offenses: 2 });
+    expect((await policy.decideRound(4, voted(1))).node).toMatchObject({ offenses: 3 });
+  });
+});
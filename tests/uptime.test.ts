@@ -0,0 +1,128 @@
+import { DEFAULT_UPTIME, loadConfig } from "../src/lib/config";
+import { UptimeLog, UPTIME_KEY, formatDuration, formatUptimeReport, summarizeWindow } from "../src/lib/uptime";
+import { memoryStore } from "./memoryStore";
+
+const MAINNET = "https://k2-mainnet.koii.live";
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const START = Date.UTC(2024, 0, 1);
+
+// One round per entry, `minutes` after START
+async function recordRounds(log: UptimeLog, rounds: Array<[number, string]>) {
+  for (const [minutes, health] of rounds) {
+    await log.record([{ endpoint: MAINNET, network: "mainnet", health, timestamp: START + minutes * MINUTE } as any]);
+  }
+}
+
+describe("Uptime reports", () => {
+  it("should fold rounds into spans of unchanged health", async () => {
+    const store = memoryStore();
+    const log = new UptimeLog(store, DEFAULT_UPTIME);
+    await recordRounds(log, [[0, "healthy"], [10, "healthy"], [20, "offline"], [30, "offline"], [40, "healthy"]]);
+
+    expect(JSON.parse(store.data[UPTIME_KEY])[MAINNET]).toEqual({
+      network: "mainnet",
+      spans: [
+        { health: "healthy", start: START, end: START + 20 * MINUTE },
+        { health: "offline", start: START + 20 * MINUTE, end: START + 40 * MINUTE },
+        { health: "healthy", start: START + 40 * MINUTE, end: START + 40 * MINUTE },
+      ],
+    });
+  });
+
+  it("should report uptime, outages, MTTR and the longest outage", async () => {
+    const log = new UptimeLog(memoryStore(), DEFAULT_UPTIME);
+    await recordRounds(log, [
+      [0, "healthy"], [10, "healthy"], [20, "offline"], [30, "unhealthy"],
+      [40, "healthy"], [50, "degraded"], [60, "healthy"],
+    ]);
+
+    const report = await log.report(START + 60 * MINUTE);
+    expect(report.endpoints).toHaveLength(1);
+    const day = report.endpoints[0].windows["24h"];
+    expect(day.uptime).toBeCloseTo(66.67, 2);
+    expect(day.degraded).toBeCloseTo(16.67, 2);
+    expect(day.observed).toBe(60 * MINUTE);
+    expect(day.outages).toBe(1);
+    expect(day.mttr).toBe(20 * MINUTE);
+    expect(day.longestOutage).toBe(20 * MINUTE);
+    expect(day.down).toBe(false);
+    expect(report.endpoints[0].windows["30d"].coverage).toBeCloseTo((60 * MINUTE * 100) / (30 * DAY), 5);
+  });
+
+  it("should apply the configured availability definition to the stored history", async () => {
+    const store = memoryStore();
+    await recordRounds(new UptimeLog(store, DEFAULT_UPTIME), [
+      [0, "healthy"], [20, "offline"], [40, "healthy"], [50, "degraded"], [60, "healthy"],
+    ]);
+
+    const strict = new UptimeLog(store, { ...DEFAULT_UPTIME, availability: { ...DEFAULT_UPTIME.availability, degraded: "down" } });
+    const day = (await strict.report(START + 60 * MINUTE)).endpoints[0].windows["24h"];
+    expect(day.uptime).toBeCloseTo(50, 5);
+    expect(day.degraded).toBe(0);
+    expect(day.outages).toBe(2);
+    expect(day.mttr).toBe(15 * MINUTE);
+    expect(day.longestOutage).toBe(20 * MINUTE);
+  });
+
+  it("should leave gaps without observations and ongoing outages out of MTTR", () => {
+    const spans = [
+      { health: "healthy", start: 0, end: 10 * MINUTE },
+      // No observation for a while: unknown, not recovered
+      { health: "offline", start: 10 * MINUTE, end: 20 * MINUTE },
+      { health: "healthy", start: 200 * MINUTE, end: 210 * MINUTE },
+      { health: "offline", start: 210 * MINUTE, end: 230 * MINUTE },
+    ];
+    const summary = summarizeWindow(spans, 0, 240 * MINUTE, DEFAULT_UPTIME.availability);
+    expect(summary.observed).toBe(50 * MINUTE);
+    expect(summary.outages).toBe(2);
+    expect(summary.mttr).toBeNull();
+    expect(summary.longestOutage).toBe(20 * MINUTE);
+    expect(summary.down).toBe(true);
+  });
+
+  it("should not count a gap longer than maxGap as observed", async () => {
+    const log = new UptimeLog(memoryStore(), DEFAULT_UPTIME);
+    await recordRounds(log, [[0, "healthy"], [10, "healthy"], [200, "healthy"], [210, "healthy"]]);
+    const day = (await log.report(START + 210 * MINUTE)).endpoints[0].windows["24h"];
+    expect(day.observed).toBe(20 * MINUTE);
+    expect(day.uptime).toBe(100);
+  });
+
+  it("should clip spans to the window and drop those older than 30 days", async () => {
+    const store = memoryStore();
+    const log = new UptimeLog(store, DEFAULT_UPTIME);
+    await recordRounds(log, [[0, "offline"], [10, "healthy"]]);
+    expect((await log.report(START + 2 * DAY)).endpoints[0].windows["24h"].observed).toBe(0);
+    expect((await log.report(START + 2 * DAY)).endpoints[0].windows["24h"].uptime).toBeNull();
+
+    await recordRounds(log, [[31 * 24 * 60, "healthy"]]);
+    expect(JSON.parse(store.data[UPTIME_KEY])[MAINNET].spans).toEqual([
+      { health: "healthy", start: START + 31 * DAY, end: START + 31 * DAY },
+    ]);
+  });
+
+  it("should format durations and one line per window", async () => {
+    expect(formatDuration(0)).toBe("0s");
+    expect(formatDuration(330 * 1000)).toBe("5m 30s");
+    expect(formatDuration(DAY + 5 * 60 * MINUTE)).toBe("1d 5h");
+
+    const log = new UptimeLog(memoryStore(), DEFAULT_UPTIME);
+    await recordRounds(log, [[0, "healthy"], [20, "offline"], [30, "healthy"], [40, "healthy"]]);
+    const lines = formatUptimeReport(await log.report(START + 40 * MINUTE));
+    expect(lines[0]).toBe("Uptime report of 2024-01-01T00:40:00.000Z");
+    expect(lines[2]).toBe(`${MAINNET} (mainnet)`);
+    expect(lines[3]).toBe("  24h  75.00% up (0.00% degraded), 1 outage(s), MTTR 10m 0s, longest 10m 0s, 3% observed");
+  });
+
+  it("should read the availability definition from UPTIME_AVAILABILITY", () => {
+    const config = loadConfig({ UPTIME_AVAILABILITY: JSON.stringify({ degraded: "down" }), UPTIME_MAX_GAP: "600" });
+    expect(config.uptime).toEqual({
+      availability: { healthy: "up", degraded: "down", unhealthy: "down", offline: "down" },
+      maxGap: 600,
+    });
+    expect(() => loadConfig({ UPTIME_AVAILABILITY: JSON.stringify({ stale: "down", offline: "gone" }) })).toThrow(
+      /UPTIME_AVAILABILITY.stale is not a health state[\s\S]*UPTIME_AVAILABILITY.offline must be one of up, degraded, down/,
+    );
+  });
+});
@@ -0,0 +1,87 @@
+import { summarizeValidators, ValidatorTracker, VALIDATORS_KEY } from "../src/lib/validators";
+import { memoryStore } from "./memoryStore";
+
+const identity = "7Np41oeYqPefeNQEHSv1UDhYrehxin3NStELsSKCT4K2";
+const other = "GdnSyH3YtwcxFvQrVVJMm1JhTS4QVX7MFsX56uJLUfiZ";
+
+function cluster({ delinquent = false, commission = 5, leaderSlots = 10, blocksProduced = 10 } = {}) {
+  const account = (nodePubkey: string) => ({
+    nodePubkey,
+    votePubkey: `vote-${nodePubkey}`,
+    lastVote: delinquent && nodePubkey === identity ? 800 : 995,
+    commission: nodePubkey === identity ? commission : 10,
+    activatedStake: 5e9,
+  });
+  return summarizeValidators(
+    {
+      current: delinquent ? [account(other)] : [account(identity), account(other)],
+      delinquent: delinquent ? [account(identity)] : [],
+    },
+    { value: { byIdentity: { [identity]: [leaderSlots, blocksProduced], [other]: [4, 4] } } },
+    1000,
+  );
+}
+
+describe("Validator tracking", () => {
+  it("should combine vote accounts and block production per identity", () => {
+    const [validator] = cluster({ leaderSlots: 8, blocksProduced: 6 });
+    expect(validator).toEqual({
+      identity,
+      votePubkey: `vote-${identity}`,
+      delinquent: false,
+      lastVote: 995,
+      lastVoteLag: 5,
+      commission: 5,
+      activatedStake: 5,
+      leaderSlots: 8,
+      blocksProduced: 6,
+    });
+  });
+
+  it("should report delinquency and commission changes", async () => {
+    const tracker = new ValidatorTracker(undefined, { watch: [identity], maxSkipRate: 25 });
+    await tracker.update(10, cluster());
+    const { events, alerts } = await tracker.update(10, cluster({ delinquent: true, commission: 100 }));
+    expect(events).toEqual([
+      `${identity} became delinquent (last vote 200 slots ago)`,
+      `${identity} changed commission from 5% to 100%`,
+    ]);
+    expect(alerts).toEqual([`Watched validator ${identity} is delinquent (last vote 200 slots ago)`]);
+  });
+
+  it("should alert on the skip rate accumulated across epochs", async () => {
+    const tracker = new ValidatorTracker(undefined, { watch: [identity], maxSkipRate: 25 });
+    expect((await tracker.update(10, cluster({ leaderSlots: 8, blocksProduced: 7 }))).alerts).toEqual([]);
+    const { alerts } = await tracker.update(11, cluster({ leaderSlots: 8, blocksProduced: 4 }));
+    expect(tracker.totals(identity)).toEqual({ leaderSlots: 16, blocksProduced: 11, skipRate: 31.25 });
+    expect(alerts).toEqual([
+      `Watched validator ${identity} skip rate 31.3% (5/16 leader slots) above 25%`,
+    ]);
+  });
+
+  it("should alert once per state change, not while it lasts", async () => {
+    const tracker = new ValidatorTracker(undefined, { watch: [identity], maxSkipRate: 25 });
+    expect((await tracker.update(10, cluster({ delinquent: true }))).alerts).toEqual([
+      `Watched validator ${identity} is delinquent (last vote 200 slots ago)`,
+    ]);
+    expect((await tracker.update(10, cluster({ delinquent: true }))).alerts).toEqual([]);
+    expect((await tracker.update(10, cluster())).alerts).toEqual([
+      `Watched validator ${identity} recovered from delinquency`,
+    ]);
+    expect((await tracker.update(10, cluster())).alerts).toEqual([]);
+  });
+
+  it("should keep the history and alert state across restarts", async () => {
+    const store = memoryStore();
+    const options = { watch: [identity], maxSkipRate: 25, network: "testnet" };
+    const first = new ValidatorTracker(store, options);
+    await first.update(10, cluster({ leaderSlots: 8, blocksProduced: 7 }));
+    expect((await first.update(11, cluster({ leaderSlots: 8, blocksProduced: 4 }))).alerts).toHaveLength(1);
+    expect(Object.keys(store.data)).toEqual([`${VALIDATORS_KEY}_testnet`]);
+
+    const restarted = new ValidatorTracker(store, options);
+    const { alerts } = await restarted.update(11, cluster({ leaderSlots: 8, blocksProduced: 4 }));
+    expect(restarted.totals(identity)).toEqual({ leaderSlots: 16, blocksProduced: 11, skipRate: 31.25 });
+    expect(alerts).toEqual([]);
+  });
+});